@@ -0,0 +1,94 @@
+/**
+ * Alert Channels
+ *
+ * Where notifications go (ALERT_CHANNELS in config.js):
+ *
+ *   log              a console line in the process that evaluated the rule
+ *   webhook:<url>    a signed POST, delivered through webhookQueue like job
+ *                    webhooks (retried, and shown in GET /webhooks/deliveries)
+ *   email:<address>  a sendEmail job on emailQueue
+ *
+ * Webhook payload:
+ *
+ *   {
+ *     "id": "alert-…",
+ *     "event": "alert.firing",     // or "alert.resolved"
+ *     "createdAt": "…",
+ *     "data": { "rule", "type", "queue", "severity", "status", "value",
+ *               "threshold", "summary", "since", "notifiedAt", "repeat" }
+ *   }
+ *
+ * Signed with WEBHOOK_SECRET, as described in webhooks/signature.js.
+ */
+
+const crypto = require('crypto');
+const emailQueue = require('../queues/emailQueue');
+const webhookQueue = require('../queues/webhookQueue');
+const { logger } = require('../logger');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+// channel type -> (channel, alert, notificationId) => Promise
+const send = {
+  log: async (channel, alert) => {
+    if (alert.status === 'resolved') {
+      logger.info(`✅ RESOLVED [${alert.rule}] ${alert.summary}`, { rule: alert.rule, queue: alert.queue });
+    } else {
+      logger.warn(`🚨 ${alert.severity.toUpperCase()} [${alert.rule}] ${alert.summary}${alert.repeat ? ' (still firing)' : ''}`, {
+        rule: alert.rule,
+        queue: alert.queue,
+        severity: alert.severity,
+      });
+    }
+  },
+
+  webhook: async ({ url }, alert, id) => {
+    await webhookQueue.add(`alert.${alert.status}`, {
+      url,
+      subscriptionId: null,
+      payload: {
+        id,
+        event: `alert.${alert.status}`,
+        createdAt: new Date().toISOString(),
+        data: alert
+      }
+    }, { jobId: id });
+  },
+
+  email: async ({ to }, alert, id) => {
+    const status = alert.status === 'resolved' ? 'RESOLVED' : alert.severity.toUpperCase();
+    await emailQueue.add('sendEmail', {
+      to,
+      subject: `[${status}] ${alert.summary}`,
+      text: [
+        alert.summary,
+        '',
+        `Rule: ${alert.rule} (${alert.type})`,
+        `Queue: ${alert.queue}`,
+        `Value: ${alert.value} (threshold ${alert.threshold})`,
+        `Firing since: ${alert.since}`,
+      ].join('\n')
+    }, { jobId: `${id}-${sha256(to).slice(0, 8)}` });
+  }
+};
+
+/**
+ * Send one notification to every channel; a failing channel is logged and
+ * doesn't stop the others
+ *
+ * @param {Array} channels - config.alerts.channels
+ * @param {object} alert - The alert, as listed by GET /alerts, plus { repeat }
+ */
+const notify = async (channels, alert) => {
+  // One notification = one ID, so a delivery is never queued twice
+  const id = `alert-${sha256([alert.rule, alert.queue, alert.status, alert.since, alert.notifiedAt].join('\n')).slice(0, 32)}`;
+
+  const results = await Promise.allSettled(channels.map(channel => send[channel.type](channel, alert, id)));
+  results.forEach((result, index) => {
+    if (result.status === 'rejected') {
+      logger.error(`❌ Failed to send alert ${alert.rule} to ${channels[index].type} channel`, { error: result.reason.message });
+    }
+  });
+};
+
+module.exports = { notify };
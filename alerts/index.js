@@ -0,0 +1,176 @@
+/**
+ * Alerting
+ *
+ * Every ALERTS_INTERVAL_MS, each configured rule (see ./rules.js) is
+ * evaluated against its queues and the result compared with what was
+ * firing before:
+ *
+ *   ok -> firing        notify (status "firing")
+ *   firing -> firing    notify again once the rule's cooldown has passed
+ *   firing -> ok        notify (status "resolved")
+ *
+ * Active alerts are kept in Redis, so notifications are deduplicated
+ * across restarts and across processes. The API and every worker process
+ * run the loop; a short lock makes sure only one of them evaluates the
+ * rules in each interval. Notifications go to the channels in ./channels.js.
+ */
+
+const os = require('os');
+const { config } = require('../config');
+const { redisInstance, redisKey } = require('../redis');
+const { listDefinitions, getQueue } = require('../queues/registry');
+const { normalizeRule, evaluateRule } = require('./rules');
+const { notify } = require('./channels');
+const { onShutdown } = require('../shutdown');
+const { logger } = require('../logger');
+
+const STATE_KEY = redisKey('alerts', 'state');
+const LOCK_KEY = redisKey('alerts', 'lock');
+
+const processId = `${os.hostname()}:${process.pid}`;
+const rules = config.alerts.rules.map(rule => normalizeRule(rule, config.alerts.cooldownMs));
+
+let timer = null;
+let evaluating = false;
+
+/**
+ * Queues a rule applies to ("*" = every queue with a worker)
+ */
+const queuesFor = (rule) => (rule.queue === '*'
+  ? listDefinitions().filter(definition => definition.worker).map(definition => definition.queue)
+  : [getQueue(rule.queue)].filter(Boolean));
+
+const readState = async () => {
+  const state = {};
+  Object.entries(await redisInstance.hgetall(STATE_KEY)).forEach(([key, raw]) => { state[key] = JSON.parse(raw); });
+  return state;
+};
+
+/**
+ * Evaluate every rule once and send the notifications due
+ *
+ * @returns {boolean} false if another process holds this interval's lock
+ */
+const evaluateAlerts = async () => {
+  const locked = await redisInstance.set(LOCK_KEY, processId, 'PX', Math.max(config.alerts.intervalMs - 1000, 1000), 'NX');
+  if (!locked) return false;
+
+  const previous = await readState();
+  const evaluated = new Set();
+
+  for (const rule of rules) {
+    for (const queue of queuesFor(rule)) {
+      const key = `${rule.id}|${queue.name}`;
+      const was = previous[key];
+      const now = new Date();
+      evaluated.add(key);
+
+      let result;
+      try {
+        result = await evaluateRule(rule, queue);
+      } catch (error) {
+        // Keep the previous state until the rule can be evaluated again
+        logger.error(`❌ Failed to evaluate alert rule ${rule.id} on ${queue.name}`, { error: error.message });
+        continue;
+      }
+
+      if (result.firing) {
+        const due = !was || now - Date.parse(was.notifiedAt) >= rule.cooldownMs;
+        const alert = {
+          rule: rule.id,
+          type: rule.type,
+          queue: queue.name,
+          severity: rule.severity,
+          status: 'firing',
+          value: result.value,
+          threshold: rule.threshold === undefined ? null : rule.threshold,
+          summary: result.summary,
+          since: was ? was.since : now.toISOString(),
+          notifiedAt: due ? now.toISOString() : was.notifiedAt
+        };
+
+        await redisInstance.hset(STATE_KEY, key, JSON.stringify(alert));
+        if (due) await notify(config.alerts.channels, { ...alert, repeat: Boolean(was) });
+      } else if (was) {
+        await redisInstance.hdel(STATE_KEY, key);
+        await notify(config.alerts.channels, {
+          ...was,
+          status: 'resolved',
+          value: result.value,
+          summary: result.summary,
+          notifiedAt: now.toISOString(),
+          repeat: false
+        });
+      }
+    }
+  }
+
+  // Alerts of rules (or queues) that no longer exist
+  const orphaned = Object.keys(previous).filter(key => !evaluated.has(key));
+  if (orphaned.length > 0) {
+    await redisInstance.hdel(STATE_KEY, ...orphaned);
+  }
+
+  return true;
+};
+
+/**
+ * Evaluate the rules every ALERTS_INTERVAL_MS (no-op if ALERTS_ENABLED=false)
+ */
+const startAlerting = () => {
+  if (!config.alerts.enabled || timer) return;
+
+  rules
+    .filter(rule => rule.queue !== '*' && !getQueue(rule.queue))
+    .forEach(rule => logger.warn(`⚠️  Alert rule ${rule.id} watches unknown queue "${rule.queue}"`));
+
+  timer = setInterval(async () => {
+    // A slow Redis must not pile up evaluations
+    if (evaluating) return;
+    evaluating = true;
+    try {
+      await evaluateAlerts();
+    } catch (error) {
+      logger.error('❌ Alert evaluation failed', { error: error.message });
+    } finally {
+      evaluating = false;
+    }
+  }, config.alerts.intervalMs);
+  timer.unref();
+  onShutdown('intake', 'alerting', async () => stopAlerting());
+
+  const channels = config.alerts.channels.map(channel => channel.type).join(', ');
+  logger.info(`🚨 Alerting: ${rules.length} rule(s) every ${config.alerts.intervalMs / 1000}s -> ${channels}`);
+};
+
+/**
+ * Stop evaluating rules in this process
+ */
+const stopAlerting = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Configured rules and the alerts firing right now
+ *
+ * @returns {object} { enabled, intervalMs, channels, rules, active }
+ */
+const listAlerts = async () => {
+  const active = Object.values(await readState()).sort((a, b) => a.since.localeCompare(b.since));
+
+  return {
+    enabled: config.alerts.enabled,
+    intervalMs: config.alerts.intervalMs,
+    channels: config.alerts.channels.map(channel => channel.type),
+    rules,
+    active
+  };
+};
+
+module.exports = {
+  startAlerting,
+  stopAlerting,
+  evaluateAlerts,
+  listAlerts
+};
@@ -0,0 +1,66 @@
+/**
+ * Job Outcome Counters
+ *
+ * The workers count final outcomes and stalls per queue and minute, so the
+ * failure rate and stalled rules (see ./rules.js) can look at a recent
+ * window rather than at whatever removeOnComplete/removeOnFail happened to
+ * keep:
+ *
+ *   <prefix>:outcomes:<queue>:<minute>  { completed, failed, stalled }
+ *
+ * Buckets expire after a day, which is also the longest window a rule can
+ * use.
+ */
+
+const { redisInstance, redisKey } = require('../redis');
+
+const MINUTE_MS = 60 * 1000;
+const MAX_WINDOW_MS = 24 * 60 * MINUTE_MS;
+const BUCKET_TTL = MAX_WINDOW_MS / 1000 + 60 * 60; // seconds
+
+const OUTCOMES = ['completed', 'failed', 'stalled'];
+
+const bucketKey = (queueName, minute) => redisKey('outcomes', queueName, minute);
+
+/**
+ * Count one outcome for the current minute
+ *
+ * @param {string} queueName - Queue the job ran in
+ * @param {string} outcome - completed | failed | stalled
+ */
+const recordOutcome = async (queueName, outcome) => {
+  const key = bucketKey(queueName, Math.floor(Date.now() / MINUTE_MS));
+  await redisInstance
+    .multi()
+    .hincrby(key, outcome, 1)
+    .expire(key, BUCKET_TTL)
+    .exec();
+};
+
+/**
+ * Outcomes of the last `windowMs` (rounded up to whole minutes, at most a day)
+ *
+ * @returns {object} { completed, failed, stalled }
+ */
+const countOutcomes = async (queueName, windowMs) => {
+  const minutes = Math.ceil(Math.min(windowMs, MAX_WINDOW_MS) / MINUTE_MS);
+  const now = Math.floor(Date.now() / MINUTE_MS);
+
+  const pipeline = redisInstance.pipeline();
+  for (let minute = now - minutes + 1; minute <= now; minute++) {
+    pipeline.hmget(bucketKey(queueName, minute), ...OUTCOMES);
+  }
+
+  const totals = { completed: 0, failed: 0, stalled: 0 };
+  (await pipeline.exec()).forEach(([error, values]) => {
+    if (error) throw error;
+    OUTCOMES.forEach((outcome, index) => { totals[outcome] += Number(values[index]) || 0; });
+  });
+
+  return totals;
+};
+
+module.exports = {
+  recordOutcome,
+  countOutcomes
+};
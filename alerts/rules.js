@@ -0,0 +1,145 @@
+/**
+ * Alert Rule Types
+ *
+ * A rule is configured as (see ALERT_RULES in config.js):
+ *
+ *   {
+ *     "type": "backlog",            // one of the types below
+ *     "queue": "emailQueue",        // default "*": every queue with a worker
+ *     "threshold": 1000,
+ *     "windowMs": 900000,           // failureRate and stalled
+ *     "minJobs": 20,                // failureRate
+ *     "severity": "warning",        // or "critical"
+ *     "cooldownMs": 900000,         // default ALERTS_COOLDOWN_MS
+ *     "id": "email-backlog"         // default: the type (plus the queue)
+ *   }
+ *
+ * Each type reads one value from a queue and compares it with the
+ * threshold:
+ *
+ *   backlog          jobs waiting (including prioritized and paused ones)
+ *   oldestWaiting    ms the oldest waiting job has been ready to run
+ *   failureRate      failed / (completed + failed) over windowMs, once at
+ *                    least minJobs finished
+ *   stalled          jobs that stalled during windowMs
+ *   paused           whether the queue is paused (no threshold)
+ *   workerHeartbeat  ms since any worker of the queue was last seen
+ *                    (see workers/heartbeat.js)
+ */
+
+const { countOutcomes } = require('./outcomes');
+const { lastHeartbeat } = require('../workers/heartbeat');
+
+const seconds = (ms) => `${Math.round(ms / 1000)}s`;
+
+// type -> { defaults, evaluate(queue, rule) => { value, firing, summary } }
+const RULE_TYPES = {
+  backlog: {
+    defaults: { threshold: 1000 },
+    evaluate: async (queue, { threshold }) => {
+      const counts = await queue.getJobCounts('waiting', 'prioritized');
+      const value = Object.values(counts).reduce((sum, count) => sum + count, 0);
+      return {
+        value,
+        firing: value > threshold,
+        summary: `${value} jobs waiting in ${queue.name} (threshold ${threshold})`
+      };
+    }
+  },
+
+  oldestWaiting: {
+    defaults: { threshold: 10 * 60 * 1000 },
+    evaluate: async (queue, { threshold }) => {
+      const [oldest] = await queue.getJobs(['waiting'], 0, 0, true);
+      const value = oldest ? Math.max(0, Date.now() - oldest.timestamp - (oldest.opts.delay || 0)) : 0;
+      return {
+        value,
+        firing: value > threshold,
+        summary: `Oldest waiting job in ${queue.name} has waited ${seconds(value)} (threshold ${seconds(threshold)})`
+      };
+    }
+  },
+
+  failureRate: {
+    defaults: { threshold: 0.25, windowMs: 15 * 60 * 1000, minJobs: 20 },
+    evaluate: async (queue, { threshold, windowMs, minJobs }) => {
+      const { completed, failed } = await countOutcomes(queue.name, windowMs);
+      const finished = completed + failed;
+      const value = finished > 0 ? Number((failed / finished).toFixed(4)) : 0;
+      return {
+        value,
+        firing: finished >= minJobs && value > threshold,
+        summary: `${failed} of ${finished} jobs in ${queue.name} failed in the last ${seconds(windowMs)} ` +
+          `(${Math.round(value * 100)}%, threshold ${Math.round(threshold * 100)}%)`
+      };
+    }
+  },
+
+  stalled: {
+    defaults: { threshold: 1, windowMs: 15 * 60 * 1000 },
+    evaluate: async (queue, { threshold, windowMs }) => {
+      const { stalled: value } = await countOutcomes(queue.name, windowMs);
+      return {
+        value,
+        firing: value >= threshold,
+        summary: `${value} jobs stalled in ${queue.name} in the last ${seconds(windowMs)} (threshold ${threshold})`
+      };
+    }
+  },
+
+  paused: {
+    defaults: {},
+    evaluate: async (queue) => {
+      const paused = await queue.isPaused();
+      return {
+        value: paused,
+        firing: paused,
+        summary: paused ? `${queue.name} is paused` : `${queue.name} is running`
+      };
+    }
+  },
+
+  workerHeartbeat: {
+    defaults: { threshold: 60 * 1000 },
+    evaluate: async (queue, { threshold }) => {
+      const { lastSeen } = await lastHeartbeat(queue.name);
+      const value = lastSeen === null ? null : Date.now() - lastSeen;
+      return {
+        value,
+        firing: value === null || value > threshold,
+        summary: value === null
+          ? `No worker has ever reported for ${queue.name}`
+          : `No worker heartbeat from ${queue.name} for ${seconds(value)} (threshold ${seconds(threshold)})`
+      };
+    }
+  }
+};
+
+/**
+ * Fill in a configured rule's defaults
+ *
+ * @param {object} rule - One entry of config.alerts.rules
+ * @param {number} cooldownMs - Default cooldown
+ */
+const normalizeRule = (rule, cooldownMs) => {
+  const queue = rule.queue || '*';
+  return {
+    id: rule.id || (queue === '*' ? rule.type : `${rule.type}:${queue}`),
+    severity: 'warning',
+    cooldownMs,
+    ...RULE_TYPES[rule.type].defaults,
+    ...rule,
+    queue
+  };
+};
+
+/**
+ * Evaluate one rule against one queue
+ */
+const evaluateRule = (rule, queue) => RULE_TYPES[rule.type].evaluate(queue, rule);
+
+module.exports = {
+  RULE_TYPES,
+  normalizeRule,
+  evaluateRule
+};
@@ -0,0 +1,232 @@
+/**
+ * Delivery Analytics
+ *
+ * removeOnComplete/removeOnFail trim the job history, so the workers also
+ * keep counts of what happened to every email, per minute, hour and day:
+ *
+ *   <prefix>:analytics:<minute|hour|day>:<bucket start>  { "<dimension>|<value>|<metric>": count }
+ *
+ * metric is one of:
+ *
+ *   sent        accepted by the transport
+ *   failed      given up on: a permanent error, or the job's last attempt failed
+ *   retried     not sent yet because the job failed; it will try again
+ *   suppressed  skipped because the recipient is on the suppression list
+ *
+ * and every email is counted under each of these dimensions:
+ *
+ *   total           "*"
+ *   name            the job name (sendEmail, batchEmail, ...)
+ *   campaign        the campaign ID (sendCampaign jobs)
+ *   domain          the recipient's domain
+ *   campaignDomain  "<campaign ID>/<domain>", for campaign reports
+ *
+ * The counts are written while the job runs (see workers/delivery.js), so
+ * a campaign's numbers are complete by the time its report step starts.
+ * Buckets expire after the retention of their granularity
+ * (ANALYTICS_MINUTE/HOUR/DAY_RETENTION_MS). Bucket starts are UTC.
+ */
+
+const { config } = require('../config');
+const { redisInstance, redisKey } = require('../redis');
+const { normalizeEmailAddress } = require('../utils/emailAddress');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Longest series one query may return
+const MAX_BUCKETS = 1500;
+
+const METRICS = ['sent', 'failed', 'retried', 'suppressed'];
+
+const GRANULARITIES = {
+  minute: { ms: MINUTE_MS, defaultRangeMs: HOUR_MS, retentionMs: () => config.analytics.minuteRetentionMs },
+  hour: { ms: HOUR_MS, defaultRangeMs: DAY_MS, retentionMs: () => config.analytics.hourRetentionMs },
+  day: { ms: DAY_MS, defaultRangeMs: 30 * DAY_MS, retentionMs: () => config.analytics.dayRetentionMs },
+};
+
+const bucketKey = (granularity, start) => redisKey('analytics', granularity, start);
+
+/**
+ * Raised for ranges that are empty or have too many buckets, and for
+ * queries filtering on more than one dimension
+ *
+ * code: INVALID_RANGE | INVALID_FILTER
+ */
+class AnalyticsError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'AnalyticsError';
+    this.code = code;
+  }
+}
+
+const domainOf = (address) => {
+  const normalized = normalizeEmailAddress(address);
+  return normalized.slice(normalized.lastIndexOf('@') + 1);
+};
+
+const emptyCounts = () => Object.fromEntries(METRICS.map(metric => [metric, 0]));
+
+/**
+ * Count emails of a job
+ *
+ * @param {Job} job - The job that sent (or didn't send) them
+ * @param {string} metric - sent | failed | retried | suppressed
+ * @param {Array<string>} addresses - Recipient addresses
+ */
+const recordEmails = async (job, metric, addresses) => {
+  if (addresses.length === 0) return;
+
+  const { campaignId } = job.data;
+  const counts = {};
+  const count = (dimension, value) => {
+    const field = `${dimension}|${value}|${metric}`;
+    counts[field] = (counts[field] || 0) + 1;
+  };
+  addresses.forEach((address) => {
+    const domain = domainOf(address);
+    count('total', '*');
+    count('name', job.name);
+    count('domain', domain);
+    if (campaignId) {
+      count('campaign', campaignId);
+      count('campaignDomain', `${campaignId}/${domain}`);
+    }
+  });
+
+  const now = Date.now();
+  const multi = redisInstance.multi();
+  Object.entries(GRANULARITIES).forEach(([granularity, { ms, retentionMs }]) => {
+    const start = Math.floor(now / ms) * ms;
+    const key = bucketKey(granularity, start);
+    Object.entries(counts).forEach(([field, n]) => multi.hincrby(key, field, n));
+    multi.pexpireat(key, start + ms + retentionMs());
+  });
+  await multi.exec();
+};
+
+/**
+ * Time series and totals for a range
+ *
+ * Filter on at most one of name, campaign and domain; without a filter the
+ * totals are broken down by job name, campaign and domain, and with a
+ * campaign filter by domain.
+ *
+ * @param {object} query - { granularity (minute | hour | day, default hour),
+ *   from, to (ISO dates; default: the last hour, day or 30 days), name,
+ *   campaign, domain }
+ * @returns {object} { granularity, from, to, retainedFrom, filter, totals,
+ *   series: [{ time, sent, failed, retried, suppressed }], breakdown }
+ */
+const queryAnalytics = async ({ granularity = 'hour', from, to, name, campaign, domain } = {}) => {
+  const { ms, defaultRangeMs, retentionMs } = GRANULARITIES[granularity];
+  const filters = Object.entries({ name, campaign, domain: domain && domain.toLowerCase() })
+    .filter(([, value]) => value);
+  if (filters.length > 1) {
+    throw new AnalyticsError('Filter by one of name, campaign or domain', 'INVALID_FILTER');
+  }
+
+  const end = to ? Date.parse(to) : Date.now();
+  const start = from ? Date.parse(from) : end - defaultRangeMs;
+  if (start >= end) {
+    throw new AnalyticsError('from must be before to', 'INVALID_RANGE');
+  }
+
+  // Every bucket that overlaps [from, to)
+  const first = Math.floor(start / ms) * ms;
+  const last = Math.floor((end - 1) / ms) * ms;
+  const buckets = (last - first) / ms + 1;
+  if (buckets > MAX_BUCKETS) {
+    throw new AnalyticsError(`The range spans ${buckets} ${granularity}s (at most ${MAX_BUCKETS}); use a shorter range or a coarser granularity`, 'INVALID_RANGE');
+  }
+
+  const pipeline = redisInstance.pipeline();
+  for (let time = first; time <= last; time += ms) {
+    pipeline.hgetall(bucketKey(granularity, time));
+  }
+  const replies = await pipeline.exec();
+
+  const [dimension, value] = filters[0] || ['total', '*'];
+  const breakdownOf = filters.length === 0
+    ? { name: 'name', campaign: 'campaign', domain: 'domain' }
+    : dimension === 'campaign' ? { domain: 'campaignDomain' } : {};
+  const breakdown = Object.fromEntries(Object.keys(breakdownOf).map(key => [key, {}]));
+  const totals = emptyCounts();
+
+  const series = replies.map(([error, fields], index) => {
+    if (error) throw error;
+    const point = { time: new Date(first + index * ms).toISOString(), ...emptyCounts() };
+
+    Object.entries(fields).forEach(([field, raw]) => {
+      const parts = field.split('|');
+      const metric = parts.pop();
+      const fieldDimension = parts.shift();
+      const fieldValue = parts.join('|');
+      const n = Number(raw) || 0;
+      if (!METRICS.includes(metric)) return;
+
+      if (fieldDimension === dimension && fieldValue === value) {
+        point[metric] += n;
+        totals[metric] += n;
+      }
+
+      Object.entries(breakdownOf).forEach(([key, source]) => {
+        if (fieldDimension !== source) return;
+        let group = fieldValue;
+        if (source === 'campaignDomain') {
+          if (!fieldValue.startsWith(`${value}/`)) return;
+          group = fieldValue.slice(value.length + 1);
+        }
+        breakdown[key][group] = breakdown[key][group] || emptyCounts();
+        breakdown[key][group][metric] += n;
+      });
+    });
+
+    return point;
+  });
+
+  return {
+    granularity,
+    from: new Date(first).toISOString(),
+    to: new Date(last + ms).toISOString(),
+    // Older buckets have expired
+    retainedFrom: new Date(Math.floor((Date.now() - retentionMs()) / ms) * ms).toISOString(),
+    filter: Object.fromEntries(filters),
+    totals,
+    series,
+    breakdown,
+  };
+};
+
+/**
+ * A campaign's counts since it was created, at the finest granularity that
+ * still has them and fits in ~200 points
+ *
+ * @param {string} campaignId - The campaign
+ * @param {number} since - When it was created (ms)
+ * @returns {object} As queryAnalytics, with breakdown.domain
+ */
+const campaignAnalytics = (campaignId, since) => {
+  const span = Date.now() - since;
+  const granularity = Object.keys(GRANULARITIES).find((key) => {
+    const { ms, retentionMs } = GRANULARITIES[key];
+    return span / ms <= 200 && span <= retentionMs();
+  }) || 'day';
+
+  return queryAnalytics({
+    granularity,
+    from: new Date(since).toISOString(),
+    to: new Date().toISOString(),
+    campaign: campaignId,
+  });
+};
+
+module.exports = {
+  METRICS,
+  AnalyticsError,
+  recordEmails,
+  queryAnalytics,
+  campaignAnalytics,
+};
@@ -0,0 +1,309 @@
+#!/usr/bin/env node
+/**
+ * Command-Line Tool
+ *
+ * One entrypoint for running the app and operating the email queue:
+ *
+ *   node cli.js serve                  Start the API server (plus an in-process
+ *                                      worker unless EMBEDDED_WORKER=false)
+ *   node cli.js work                   Start standalone workers for every queue
+ *                                      (metrics on METRICS_PORT, plus alerting)
+ *   node cli.js enqueue <type> [json]  Add a job (JSON from the argument or stdin)
+ *   node cli.js stats                  Show job counts per state
+ *   node cli.js cleanup                Remove old completed/failed jobs
+ *   node cli.js retry-failed           Move every failed job back to waiting
+ *   node cli.js pause | resume         Pause or resume the queue for all workers
+ *   node cli.js inspect <jobId>        Show a job's data, state and logs
+ *   node cli.js queues                 List registered queues
+ *
+ * Add --json to print machine-readable output, and --queue <name> to run
+ * stats, cleanup, retry-failed, pause, resume or inspect against a queue
+ * other than emailQueue.
+ *
+ * Operational commands go through the same helpers as the HTTP API
+ * (jobs/emailJob.js, jobs/queueControl.js, examples/advanced-examples.js and
+ * the queue registry).
+ */
+
+const { parseArgs } = require('util');
+
+/**
+ * Job types accepted by `enqueue`, mapped to the helper that creates them.
+ * Each entry: the HTTP route's request schema (http/schemas.js), so the
+ * payload is validated and normalized the same way, + a function
+ * (payload) => job(s)
+ */
+const enqueueTypes = {
+  email: {
+    schema: 'sendEmail',
+    add: ({ to, delay, callbackUrl, tenantId }) => require('./jobs/emailJob').addEmailJob(to, delay, { callbackUrl, tenantId }),
+  },
+  urgent: {
+    schema: 'sendUrgent',
+    add: ({ to, tenantId }) => require('./jobs/emailJob').addUrgentEmailJob(to, { tenantId }),
+  },
+  scheduled: {
+    schema: 'scheduleEmail',
+    add: ({ to, scheduleTime, tenantId }) => require('./jobs/emailJob').scheduleEmailAt(to, scheduleTime, { tenantId }),
+  },
+  batch: {
+    schema: 'sendBatch',
+    add: ({ recipients, batchSize, callbackUrl, tenantId }) => require('./examples/advanced-examples').addBatchEmailJob(recipients, batchSize, { callbackUrl, tenantId }),
+  },
+  progress: {
+    schema: 'sendWithProgress',
+    add: ({ recipients, tenantId }) => require('./examples/advanced-examples').addProgressTrackingJob(recipients, { tenantId }),
+  },
+  campaign: {
+    schema: 'createCampaign',
+    add: (payload) => require('./examples/advanced-examples').createEmailCampaign(payload),
+  },
+};
+
+const usage = `Usage: node cli.js <command> [options]
+
+Commands:
+  serve                     Start the API server (set EMBEDDED_WORKER=false
+                            to run workers only through \`work\`)
+  work                      Start standalone workers for every queue
+                            (Prometheus metrics on METRICS_PORT, plus
+                            alert rule evaluation)
+  enqueue <type> [json]     Add a job; type is one of: ${Object.keys(enqueueTypes).join(', ')}
+                            The JSON payload is read from stdin if omitted
+  stats                     Show job counts per state
+  cleanup                   Remove old completed and failed jobs
+  retry-failed              Move every failed job back to waiting
+  pause                     Pause the queue (workers stop picking up jobs)
+  resume                    Resume the queue
+  inspect <jobId>           Show a job's data, state and logs
+  queues                    List registered queues
+
+Options:
+  --queue <name>            Queue to operate on (default: emailQueue)
+  --json                    Print machine-readable JSON
+  -h, --help                Show this help
+`;
+
+/**
+ * Raised for bad command-line input (printed without a stack trace)
+ */
+class UsageError extends Error {}
+
+const readStdin = async () => {
+  if (process.stdin.isTTY) return '';
+  const chunks = [];
+  for await (const chunk of process.stdin) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+const parsePayload = (raw) => {
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    throw new UsageError(`Invalid JSON payload: ${error.message}`);
+  }
+};
+
+/**
+ * Validate a payload against its HTTP route's body schema
+ *
+ * @returns {object} The normalized payload (defaults filled in, addresses normalized)
+ */
+const checkPayload = (type, definition, payload) => {
+  const { validateValue } = require('./http/validation');
+  const { ApiError } = require('./http/errors');
+  const { checkCallbackUrl, WebhookError } = require('./webhooks');
+  try {
+    const normalized = validateValue(payload, require('./http/schemas')[definition.schema].body, 'payload');
+    checkCallbackUrl(normalized.callbackUrl);
+    return normalized;
+  } catch (error) {
+    if (!(error instanceof ApiError) && !(error instanceof WebhookError)) throw error;
+    const problems = (error.details || []).map(({ field, message }) => `\n  ${field} ${message}`).join('');
+    throw new UsageError(`Invalid payload for "${type}": ${error.message}${problems}`);
+  }
+};
+
+const print = (json, value, text) => {
+  console.log(json ? JSON.stringify(value, null, 2) : text);
+};
+
+/**
+ * The queue selected with --queue
+ */
+const selectedQueue = (name) => {
+  const queue = require('./queues').getQueue(name);
+  if (!queue) {
+    const names = require('./queues').listDefinitions().map(definition => definition.name);
+    throw new UsageError(`Unknown queue "${name}". Use one of: ${names.join(', ')}`);
+  }
+  return queue;
+};
+
+/**
+ * Short-lived commands: run against the queue, then close every connection
+ */
+const commands = {
+  enqueue: async ([type, rawPayload], { json }) => {
+    const definition = Object.hasOwn(enqueueTypes, type) ? enqueueTypes[type] : null;
+    if (!definition) {
+      throw new UsageError(`Unknown job type "${type}". Use one of: ${Object.keys(enqueueTypes).join(', ')}`);
+    }
+
+    const payload = checkPayload(type, definition, parsePayload(rawPayload !== undefined ? rawPayload : await readStdin()));
+    const result = await definition.add(payload);
+
+    // Helpers return a job, { job }, batches { jobs }, or a campaign { campaignId, ...jobs }
+    let jobIds;
+    if (result.jobs) jobIds = result.jobs.map(job => job.id);
+    else if (result.job) jobIds = [result.job.id];
+    else if (result.campaignId) jobIds = [result.prepJob.id, result.sendJob.id, result.reportJob.id];
+    else jobIds = [result.id];
+
+    const suppressed = result.suppressed ? result.suppressed.length : 0;
+    print(json, { type, jobIds, campaignId: result.campaignId, suppressed },
+      `✅ Enqueued ${type}: ${jobIds.join(', ')}${suppressed ? ` (${suppressed} suppressed recipient(s) left out)` : ''}`);
+  },
+
+  stats: async (args, { json, queue: queueName }) => {
+    const queue = selectedQueue(queueName);
+    const [counts, paused] = await Promise.all([queue.getJobCounts(), queue.isPaused()]);
+
+    const lines = Object.entries(counts).map(([state, count]) => `  ${state.padEnd(18)} ${count}`);
+    print(json, { queue: queue.name, paused, counts },
+      `📊 ${queue.name}${paused ? ' (paused)' : ''}\n${lines.join('\n')}`);
+  },
+
+  cleanup: async (args, { json, queue: queueName }) => {
+    const queue = selectedQueue(queueName);
+    const { cleanupOldJobs } = require('./examples/advanced-examples');
+
+    await cleanupOldJobs(queue);
+    const counts = await queue.getJobCounts();
+    print(json, { queue: queue.name, counts }, `🧹 Cleanup of ${queue.name} completed`);
+  },
+
+  'retry-failed': async (args, { json, queue: queueName }) => {
+    const queue = selectedQueue(queueName);
+
+    // retryJobs() doesn't report how many it moved, and jobs can fail while
+    // it runs, so the count taken before is only an estimate
+    const failed = await queue.getFailedCount();
+    await queue.retryJobs({ state: 'failed' });
+    print(json, { queue: queue.name, estimatedRetried: failed },
+      `🔄 Moved the failed jobs in ${queue.name} back to waiting (about ${failed})`);
+  },
+
+  pause: async (args, { json, queue: queueName }) => {
+    const queue = selectedQueue(queueName);
+
+    const state = await require('./jobs/queueControl').pauseQueue(queue);
+    print(json, state, `⏸️  ${queue.name} paused (${state.counts.active} job(s) still finishing)`);
+  },
+
+  resume: async (args, { json, queue: queueName }) => {
+    const queue = selectedQueue(queueName);
+
+    const state = await require('./jobs/queueControl').resumeQueue(queue);
+    print(json, state, `▶️  ${queue.name} resumed`);
+  },
+
+  queues: async (args, { json }) => {
+    const definitions = require('./queues').listDefinitions();
+    const queues = await Promise.all(definitions.map(async ({ name, description, queue, worker }) => ({
+      name,
+      description: description || null,
+      hasWorker: Boolean(worker),
+      counts: await queue.getJobCounts('waiting', 'active', 'failed'),
+    })));
+
+    const lines = queues.map(({ name, description, counts }) =>
+      `  ${name.padEnd(18)} waiting=${counts.waiting} active=${counts.active} failed=${counts.failed}` +
+      (description ? `  ${description}` : ''));
+    print(json, { queues }, `📬 Queues\n${lines.join('\n')}`);
+  },
+
+  inspect: async ([jobId], { json, queue: queueName }) => {
+    const queue = selectedQueue(queueName);
+    if (!jobId) {
+      throw new UsageError('inspect needs a job ID');
+    }
+
+    const job = await queue.getJob(jobId);
+    if (!job) {
+      throw new UsageError(`Job ${jobId} not found in ${queue.name}`);
+    }
+
+    const [state, { logs }] = await Promise.all([job.getState(), queue.getJobLogs(jobId)]);
+    const details = {
+      id: job.id,
+      queue: queue.name,
+      name: job.name,
+      state,
+      data: job.data,
+      opts: job.opts,
+      progress: job.progress,
+      attemptsMade: job.attemptsMade,
+      createdAt: new Date(job.timestamp).toISOString(),
+      processedOn: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+      finishedOn: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+      failedReason: job.failedReason || null,
+      stacktrace: job.stacktrace,
+      returnValue: job.returnvalue,
+      logs
+    };
+
+    print(json, details, `🔍 Job ${job.id}\n${JSON.stringify(details, null, 2)}`);
+  },
+};
+
+/**
+ * Close the connections opened by short-lived commands
+ */
+const closeConnections = () => require('./shutdown').closeAll();
+
+const main = async () => {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      json: { type: 'boolean', default: false },
+      queue: { type: 'string', default: 'emailQueue' },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  const [command, ...args] = positionals;
+
+  if (values.help || !command) {
+    console.log(usage);
+    return;
+  }
+
+  // Long-running entrypoints: these modules start themselves when loaded
+  if (command === 'serve') {
+    require('./server');
+    return;
+  }
+  if (command === 'work') {
+    const { config } = require('./config');
+    require('./workers');
+    require('./metrics').startMetricsServer(config.metrics.port);
+    require('./alerts').startAlerting();
+    require('./shutdown').handleSignals();
+    return;
+  }
+
+  if (!Object.hasOwn(commands, command)) {
+    throw new UsageError(`Unknown command "${command}"\n\n${usage}`);
+  }
+
+  try {
+    await commands[command](args, values);
+  } finally {
+    await closeConnections();
+  }
+};
+
+main().catch((error) => {
+  console.error(`❌ ${error instanceof UsageError ? error.message : error.stack}`);
+  process.exitCode = 1;
+});
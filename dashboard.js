@@ -9,30 +9,26 @@ const { createBullBoard } = require('@bull-board/api');
 const { BullMQAdapter } = require('@bull-board/api/bullMQAdapter');
 const { ExpressAdapter } = require('@bull-board/express');
 
-// Import all queues you want to monitor
-const emailQueue = require('./queues/emailQueue');
-// Add more queues here as you create them:
-// const imageQueue = require('./queues/imageQueue');
-// const reportQueue = require('./queues/reportQueue');
+// Every queue declared in queues/ (see queues/registry.js)
+const { onQueueDefined } = require('./queues');
+const { logger } = require('./logger');
 
 // Create Express adapter for the dashboard
 const serverAdapter = new ExpressAdapter();
 serverAdapter.setBasePath('/admin/queues');
 
-// Create the Bull Board with all your queues
+// Create the Bull Board; queues are added as they are declared
 const { addQueue, removeQueue, setQueues, replaceQueues } = createBullBoard({
-  queues: [
-    new BullMQAdapter(emailQueue),
-    // Add more queue adapters here:
-    // new BullMQAdapter(imageQueue),
-    // new BullMQAdapter(reportQueue),
-  ],
+  queues: [],
   serverAdapter: serverAdapter,
 });
 
-console.log('📊 Bull Board dashboard configured');
-console.log('📈 Monitoring queues:');
-console.log('  - emailQueue');
+logger.info('📊 Bull Board dashboard configured');
+
+onQueueDefined(({ name, queue }) => {
+  addQueue(new BullMQAdapter(queue));
+  logger.info(`📈 Dashboard monitoring ${name}`, { queue: name });
+});
 
 // Export the server adapter and utilities
 module.exports = {
@@ -59,7 +55,7 @@ module.exports = {
  *   - Retry failed jobs
  *   - Delete jobs
  *   - Clean up old jobs
- *   - Pause/resume queues
+ *   - Pause/resume queues (scripts can use POST /queues/:queue/pause and /resume)
  * 
  * 📊 Statistics:
  *   - Processing rates
@@ -4,24 +4,42 @@
  * This file demonstrates advanced BullMQ features like:
  * - Job dependencies and flows
  * - Custom job processors
- * - Queue events and monitoring
+ * - Queue cleanup
  * - Performance optimization
  */
 
+const crypto = require('crypto');
 const { addEmailJob } = require('../jobs/emailJob');
+const { withoutSuppressed } = require('../suppressions');
+const { indexJob, indexJobs } = require('../jobs/jobSearch');
 const emailQueue = require('../queues/emailQueue');
+const flowProducer = require('../queues/flowProducer');
+const { logger } = require('../logger');
 
 /**
  * Example 1: Batch Job Processing
  * Process multiple emails in a single job
+ * 
+ * Pass { jobId } to get deterministic IDs: batch N becomes `${jobId}-N`.
+ * Pass { callbackUrl } to get a webhook as each batch finishes.
+ * Pass { tenantId } to count the emails against that tenant's rate limit.
+ * Pass { requestId } to tie the worker's log lines to the HTTP request.
+ * 
+ * Suppressed recipients are left out (see suppressions/index.js).
+ * Returns { jobs, suppressed: [{ email, reason }] }.
  */
-async function addBatchEmailJob(recipients, batchSize = 10) {
-  console.log(`📦 Creating batch job for ${recipients.length} recipients`);
+async function addBatchEmailJob(recipients, batchSize = 10, { jobId, callbackUrl, tenantId, requestId } = {}) {
+  if (!Number.isInteger(batchSize) || batchSize < 1) {
+    throw new Error('batchSize must be a positive integer');
+  }
+  
+  const { allowed, suppressed } = await withoutSuppressed(recipients);
+  logger.info(`📦 Creating batch job for ${allowed.length} recipients`, { requestId });
   
   // Split recipients into batches
   const batches = [];
-  for (let i = 0; i < recipients.length; i += batchSize) {
-    batches.push(recipients.slice(i, i + batchSize));
+  for (let i = 0; i < allowed.length; i += batchSize) {
+    batches.push(allowed.slice(i, i + batchSize));
   }
   
   // Create a job for each batch
@@ -30,143 +48,246 @@ async function addBatchEmailJob(recipients, batchSize = 10) {
     const job = await emailQueue.add('batchEmail', {
       batch: batches[i],
       batchNumber: i + 1,
-      totalBatches: batches.length
+      totalBatches: batches.length,
+      callbackUrl,
+      tenantId,
+      requestId
     }, {
+      jobId: jobId ? `${jobId}-${i + 1}` : undefined,
       priority: 5,
       attempts: 2
     });
     jobs.push(job);
   }
+  await indexJobs(jobs);
   
-  console.log(`✅ Created ${jobs.length} batch jobs`);
-  return jobs;
+  logger.info(`✅ Created ${jobs.length} batch jobs`, { jobIds: jobs.map(job => job.id), requestId });
+  return { jobs, suppressed };
 }
 
 /**
  * Example 2: Job with Progress Tracking
  * Demonstrate how to track job progress
+ * 
+ * Suppressed recipients are left out, as in addBatchEmailJob.
+ * Returns { job, suppressed: [{ email, reason }] }.
  */
-async function addProgressTrackingJob(recipients) {
+async function addProgressTrackingJob(recipients, { jobId, tenantId, requestId } = {}) {
+  const { allowed, suppressed } = await withoutSuppressed(recipients);
   const job = await emailQueue.add('progressEmail', {
-    recipients,
-    totalCount: recipients.length
+    recipients: allowed,
+    totalCount: allowed.length,
+    tenantId,
+    requestId
   }, {
+    jobId,
     attempts: 1
   });
+  await indexJob(job);
   
-  console.log(`📊 Created progress tracking job: ${job.id}`);
-  return job;
+  logger.info(`📊 Created progress tracking job: ${job.id}`, { jobId: job.id, requestId });
+  return { job, suppressed };
 }
 
 /**
- * Example 3: Job Chaining
- * Create dependent jobs that run in sequence
+ * Example 3: Job Flows
+ * Create dependent jobs with a parent/child flow
+ * 
+ * A campaign is one flow. Children run before their parents:
+ * 
+ *   campaignReport            (runs after sending has finished)
+ *   └── sendCampaign          (runs after preparation has succeeded)
+ *       └── prepareCampaign   (runs first)
+ * 
+ * failParentOnFailure cancels the rest of the campaign if a step fails.
+ * 
+ * Recipients can be plain addresses or objects carrying their own merge
+ * fields, e.g. { email: 'jane@example.com', firstName: 'Jane' }.
+ * `data` holds merge fields shared by every recipient.
+ * Pass `campaignId` (campaign-<uuid>) to choose the ID instead of a random one.
+ * `callbackUrl` is notified once: with job.completed or job.failed from the
+ * report step when the whole campaign has finished, or with job.failed from
+ * the preparation or sending step that failed for good. (A failed child
+ * fails the steps above it inside BullMQ, without a worker event, so the
+ * report step can't tell.) Both carry the campaignId.
+ * `tenantId` counts the emails against that tenant's rate limit.
+ * `requestId` ties the worker's log lines for every step to the HTTP request.
+ * Suppressed recipients are left out and returned as `suppressed`.
  */
 async function createEmailCampaign(campaignData) {
-  const { name, recipients, templateId, sendTime } = campaignData;
+  const { name, templateId, sendTime, data = {}, callbackUrl, tenantId, requestId } = campaignData;
+  const campaignId = campaignData.campaignId || `campaign-${crypto.randomUUID()}`;
+  const { allowed: recipients, suppressed } = await withoutSuppressed(campaignData.recipients);
   
-  console.log(`🎯 Creating email campaign: ${name}`);
+  logger.info(`🎯 Creating email campaign: ${name} (${campaignId})`, { campaignId, requestId });
+
+  // The steps below the report only call back when they fail (see above)
+  const stepCallback = callbackUrl ? { callbackUrl, callbackEvents: ['job.failed'] } : {};
   
-  // Step 1: Prepare campaign
-  const prepJob = await emailQueue.add('prepareCampaign', {
-    campaignName: name,
-    templateId,
-    recipientCount: recipients.length
-  }, {
-    priority: 8
+  const { job: reportJob, children: [sendNode] } = await flowProducer.add({
+    // Step 3: Generate report (parent of sending)
+    name: 'campaignReport',
+    queueName: emailQueue.name,
+    data: { campaignId, campaignName: name, callbackUrl, tenantId, requestId },
+    opts: { jobId: `${campaignId}-report`, priority: 3 },
+    children: [{
+      // Step 2: Send emails (parent of preparation)
+      name: 'sendCampaign',
+      queueName: emailQueue.name,
+      data: {
+        campaignId,
+        campaignName: name,
+        templateId,
+        data,
+        sendAt: sendTime ? new Date(sendTime).toISOString() : null,
+        ...stepCallback,
+        tenantId,
+        requestId
+      },
+      opts: { jobId: `${campaignId}-send`, priority: 7, failParentOnFailure: true },
+      children: [{
+        // Step 1: Prepare campaign
+        name: 'prepareCampaign',
+        queueName: emailQueue.name,
+        data: {
+          campaignId,
+          campaignName: name,
+          templateId,
+          recipients,
+          recipientCount: recipients.length,
+          data,
+          ...stepCallback,
+          tenantId,
+          requestId
+        },
+        opts: { jobId: `${campaignId}-prepare`, priority: 8, failParentOnFailure: true }
+      }]
+    }]
   });
   
-  // Step 2: Send emails (depends on preparation)
-  const sendJob = await emailQueue.add('sendCampaign', {
-    campaignName: name,
-    recipients,
-    templateId,
-    prepJobId: prepJob.id
-  }, {
-    delay: sendTime ? new Date(sendTime) - new Date() : 0,
-    priority: 7
-  });
+  const sendJob = sendNode.job;
+  const prepJob = sendNode.children[0].job;
+  await indexJobs([prepJob, sendJob, reportJob]);
   
-  // Step 3: Generate report (depends on sending)
-  const reportJob = await emailQueue.add('campaignReport', {
-    campaignName: name,
-    sendJobId: sendJob.id
-  }, {
-    delay: 3600000, // 1 hour after campaign
-    priority: 3
-  });
-  
-  console.log(`✅ Campaign jobs created: prep(${prepJob.id}), send(${sendJob.id}), report(${reportJob.id})`);
-  return { prepJob, sendJob, reportJob };
+  logger.info(`✅ Campaign flow created: prep(${prepJob.id}) → send(${sendJob.id}) → report(${reportJob.id})`, { campaignId, requestId });
+  return { campaignId, prepJob, sendJob, reportJob, suppressed };
 }
 
 /**
- * Example 4: Queue Monitoring and Alerts
+ * Get the state of a campaign flow
+ * 
+ * Returns the step tree with each job's state, a per-recipient view of the
+ * send step and an overall progress percentage, or null if the campaign
+ * doesn't exist (or has been removed).
  */
-async function setupQueueMonitoring() {
-  console.log('🔍 Setting up queue monitoring...');
-  
-  // Monitor queue health every 30 seconds
-  const monitoringInterval = setInterval(async () => {
-    try {
-      const counts = await emailQueue.getJobCounts();
-      const failedCount = counts.failed || 0;
-      const stalledCount = counts.stalled || 0;
-      
-      // Alert if too many failed jobs
-      if (failedCount > 10) {
-        console.log(`🚨 ALERT: ${failedCount} failed jobs in queue!`);
-        // In production, send notification to ops team
-      }
-      
-      // Alert if jobs are stalling
-      if (stalledCount > 5) {
-        console.log(`⚠️  WARNING: ${stalledCount} stalled jobs detected!`);
-        // In production, investigate worker health
-      }
-      
-      // Log queue health
-      console.log(`📈 Queue Health - Active: ${counts.active}, Waiting: ${counts.waiting}, Failed: ${failedCount}`);
-      
-    } catch (error) {
-      console.error('❌ Queue monitoring error:', error.message);
-    }
-  }, 30000);
+async function getCampaignStatus(campaignId) {
+  const tree = await flowProducer.getFlow({
+    id: `${campaignId}-report`,
+    queueName: emailQueue.name
+  });
+  
+  if (!tree || !tree.job) {
+    return null;
+  }
+  
+  const describe = async ({ job, children = [] }) => ({
+    id: job.id,
+    name: job.name,
+    state: await job.getState(),
+    progress: job.progress || 0,
+    attemptsMade: job.attemptsMade,
+    failedReason: job.failedReason || null,
+    processedOn: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedOn: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    children: await Promise.all(children.map(describe))
+  });
+  
+  const steps = await describe(tree);
+  const sendStep = steps.children[0];
+  const prepStep = sendStep && sendStep.children[0];
+  const sendNode = tree.children && tree.children[0];
+  const prepNode = sendNode && sendNode.children && sendNode.children[0];
+  
+  // Per-recipient results come from the send job's delivery bookkeeping
+  const prepared = prepNode && prepNode.job.returnvalue;
+  const recipientList = prepared ? prepared.recipients.map(r => r.email) : [];
+  const delivered = (sendNode && sendNode.job.data.delivered) || {};
+  const failures = (sendNode && sendNode.job.data.failed) || {};
+  const suppressions = (sendNode && sendNode.job.data.suppressed) || {};
+  const results = recipientList.map(email => {
+    if (delivered[email]) return { email, status: 'sent', messageId: delivered[email] };
+    if (failures[email]) return { email, status: 'failed', error: failures[email] };
+    if (suppressions[email]) return { email, status: 'suppressed', reason: suppressions[email] };
+    return { email, status: 'pending' };
+  });
   
-  return monitoringInterval;
+  // Weight the steps: prepare 10%, send 80%, report 10%
+  const done = step => (step && step.state === 'completed' ? 1 : 0);
+  const progress = Math.round(
+    done(prepStep) * 10 +
+    (sendStep ? (done(sendStep) ? 100 : sendStep.progress) * 0.8 : 0) +
+    done(steps) * 10
+  );
+  
+  const failedStep = [steps, sendStep, prepStep].find(step => step && step.state === 'failed');
+  let status = 'preparing';
+  if (failedStep) status = 'failed';
+  else if (steps.state === 'completed') status = 'completed';
+  else if (done(sendStep)) status = 'reporting';
+  else if (sendStep && sendStep.state === 'delayed') status = 'scheduled';
+  else if (done(prepStep)) status = 'sending';
+  
+  return {
+    campaignId,
+    name: tree.job.data.campaignName,
+    status,
+    progress,
+    failedReason: failedStep ? failedStep.failedReason : null,
+    steps,
+    recipients: {
+      total: recipientList.length,
+      sent: results.filter(r => r.status === 'sent').length,
+      failed: results.filter(r => r.status === 'failed').length,
+      suppressed: results.filter(r => r.status === 'suppressed').length,
+      pending: results.filter(r => r.status === 'pending').length,
+      invalid: prepared ? prepared.invalid : [],
+      results
+    },
+    report: tree.job.returnvalue || null
+  };
 }
 
 /**
- * Example 5: Queue Cleanup
+ * Example 4: Queue Cleanup
  * Clean up old jobs to manage memory usage
  */
-async function cleanupOldJobs() {
-  console.log('🧹 Cleaning up old jobs...');
+async function cleanupOldJobs(queue = emailQueue) {
+  logger.info(`🧹 Cleaning up old jobs in ${queue.name}...`, { queue: queue.name });
   
   try {
     // Clean completed jobs older than 24 hours
-    const completedCleaned = await emailQueue.clean(24 * 60 * 60 * 1000, 'completed');
-    console.log(`🗑️  Cleaned ${completedCleaned.length} completed jobs`);
+    const completedCleaned = await queue.clean(24 * 60 * 60 * 1000, 'completed');
+    logger.info(`🗑️  Cleaned ${completedCleaned.length} completed jobs`, { queue: queue.name });
     
     // Clean failed jobs older than 7 days
-    const failedCleaned = await emailQueue.clean(7 * 24 * 60 * 60 * 1000, 'failed');
-    console.log(`🗑️  Cleaned ${failedCleaned.length} failed jobs`);
+    const failedCleaned = await queue.clean(7 * 24 * 60 * 60 * 1000, 'failed');
+    logger.info(`🗑️  Cleaned ${failedCleaned.length} failed jobs`, { queue: queue.name });
     
     // Clean active jobs older than 1 hour (likely stalled)
-    const activeCleaned = await emailQueue.clean(60 * 60 * 1000, 'active');
-    console.log(`🗑️  Cleaned ${activeCleaned.length} stalled active jobs`);
+    const activeCleaned = await queue.clean(60 * 60 * 1000, 'active');
+    logger.info(`🗑️  Cleaned ${activeCleaned.length} stalled active jobs`, { queue: queue.name });
     
   } catch (error) {
-    console.error('❌ Cleanup error:', error.message);
+    logger.error('❌ Cleanup error', { queue: queue.name, error });
   }
 }
 
 /**
- * Example 6: Performance Testing
+ * Example 5: Performance Testing
  * Load test the queue with many jobs
  */
 async function performanceTest(jobCount = 1000) {
-  console.log(`⚡ Starting performance test with ${jobCount} jobs...`);
+  logger.info(`⚡ Starting performance test with ${jobCount} jobs...`);
   
   const startTime = Date.now();
   const jobs = [];
@@ -183,16 +304,17 @@ async function performanceTest(jobCount = 1000) {
     const batchJobs = await Promise.all(batch);
     jobs.push(...batchJobs);
     
-    console.log(`📦 Added batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(jobCount / batchSize)}`);
+    logger.info(`📦 Added batch ${Math.floor(i / batchSize) + 1}/${Math.ceil(jobCount / batchSize)}`);
   }
   
   const endTime = Date.now();
   const duration = endTime - startTime;
   
-  console.log(`✅ Performance test completed:`);
-  console.log(`  📊 Jobs added: ${jobs.length}`);
-  console.log(`  ⏱️  Duration: ${duration}ms`);
-  console.log(`  🚀 Rate: ${Math.round(jobs.length / (duration / 1000))} jobs/second`);
+  logger.info('✅ Performance test completed', {
+    jobsAdded: jobs.length,
+    durationMs: duration,
+    jobsPerSecond: Math.round(jobs.length / (duration / 1000))
+  });
   
   return { jobs, duration, rate: jobs.length / (duration / 1000) };
 }
@@ -201,7 +323,7 @@ module.exports = {
   addBatchEmailJob,
   addProgressTrackingJob,
   createEmailCampaign,
-  setupQueueMonitoring,
+  getCampaignStatus,
   cleanupOldJobs,
   performanceTest
 };
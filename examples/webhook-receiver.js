@@ -0,0 +1,58 @@
+/**
+ * Local Webhook Receiver
+ * 
+ * A tiny HTTP server for trying out webhooks. It verifies each delivery's
+ * signature and prints the payload.
+ * 
+ *   WEBHOOK_SECRET=dev-secret node examples/webhook-receiver.js
+ *   (and the API with the same WEBHOOK_SECRET and WEBHOOK_ALLOWED_PRIVATE_HOSTS=localhost)
+ *   curl -X POST http://localhost:3000/send-email -H "Content-Type: application/json" \
+ *     -d '{"to":"user@example.com","callbackUrl":"http://localhost:4000/hooks"}'
+ * 
+ * For a subscription, start the receiver with the secret returned by
+ * POST /webhooks. Add ?status=503 to the URL to make the receiver fail and
+ * watch the deliveries being retried (GET /webhooks/deliveries).
+ */
+
+const http = require('http');
+const { verify, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../webhooks/signature');
+
+const PORT = Number(process.env.WEBHOOK_RECEIVER_PORT) || 4000;
+const SECRET = process.env.WEBHOOK_SECRET;
+
+if (!SECRET) {
+  console.error('💥 Set WEBHOOK_SECRET to the secret the deliveries are signed with');
+  process.exit(1);
+}
+
+const server = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    // Verify against the raw body, before any JSON parsing
+    const body = Buffer.concat(chunks).toString('utf8');
+    const valid = verify(
+      body,
+      SECRET,
+      req.headers[TIMESTAMP_HEADER.toLowerCase()],
+      req.headers[SIGNATURE_HEADER.toLowerCase()]
+    );
+    
+    if (!valid) {
+      console.log(`🚫 Rejected delivery with an invalid signature (${req.headers['x-webhook-id']})`);
+      res.writeHead(401).end();
+      return;
+    }
+    
+    const payload = JSON.parse(body);
+    console.log(`🪝 ${payload.event} for job ${payload.data.jobId} (delivery ${payload.id})`);
+    console.log(JSON.stringify(payload.data, null, 2));
+    
+    const status = Number(new URL(req.url, 'http://localhost').searchParams.get('status')) || 204;
+    res.writeHead(status).end();
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`👂 Webhook receiver listening on http://localhost:${PORT}`);
+});
@@ -0,0 +1,134 @@
+/**
+ * Authentication & Role-Based Access
+ *
+ * Callers identify themselves with one of the keys in `auth.apiKeys`
+ * (API_KEYS), sent in any of these headers:
+ *
+ *   X-API-Key: <key>
+ *   Authorization: Bearer <key>
+ *   Authorization: Basic base64(<anything>:<key>)   (browsers, e.g. the dashboard)
+ *
+ * Each key has one or more roles. Routes ask for a permission:
+ *
+ *   role       permissions
+ *   producer   enqueue
+ *   viewer     read
+ *   operator   read, operate   (retry, cleanup, pause, webhooks, suppressions, dashboard)
+ *
+ * Missing or unknown keys get 401, known keys without the permission get
+ * 403. Every failed attempt is logged (never with the key itself).
+ * Auth is on by default: the API refuses to start without keys, unless
+ * auth.enabled is set to false, which lets every request through.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { ApiError } = require('./errors');
+const { logger } = require('../logger');
+
+const ROLE_PERMISSIONS = {
+  producer: ['enqueue'],
+  viewer: ['read'],
+  operator: ['read', 'operate'],
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest();
+
+// Keep only digests in memory; "sha256:<hex>" keys are stored pre-hashed
+const credentials = (config.auth.apiKeys || []).map(({ name, roles, key }) => ({
+  name,
+  roles,
+  digest: key.startsWith('sha256:') ? Buffer.from(key.slice(7), 'hex') : sha256(key),
+  permissions: new Set(roles.flatMap(role => ROLE_PERMISSIONS[role])),
+}));
+
+/**
+ * Pull the presented key out of the request headers
+ */
+const presentedKey = (req) => {
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) return apiKey;
+
+  const authorization = req.get('Authorization') || '';
+  const [scheme, value] = authorization.split(' ');
+  if (/^bearer$/i.test(scheme) && value) return value;
+  if (/^basic$/i.test(scheme) && value) {
+    const decoded = Buffer.from(value, 'base64').toString('utf8');
+    return decoded.slice(decoded.indexOf(':') + 1);
+  }
+  return null;
+};
+
+/**
+ * Find the credential matching a key (constant-time comparison)
+ */
+const findCredential = (key) => {
+  const digest = sha256(key);
+  return credentials.find(credential =>
+    credential.digest.length === digest.length && crypto.timingSafeEqual(credential.digest, digest)
+  );
+};
+
+const logFailure = (req, reason, name) => {
+  (req.log || logger).warn(`🚫 Auth failed: ${reason}`, {
+    method: req.method,
+    path: req.path,
+    ip: req.ip,
+    key: name,
+  });
+};
+
+/**
+ * Identify the caller and set req.principal = { name, roles, permissions }
+ *
+ * @param {object} options - { realm } adds a Basic auth challenge on 401,
+ *                           so browsers show a login prompt
+ */
+const authenticate = ({ realm } = {}) => (req, res, next) => {
+  if (!config.auth.enabled) {
+    req.principal = { name: 'anonymous', roles: Object.keys(ROLE_PERMISSIONS), permissions: null };
+    return next();
+  }
+
+  const key = presentedKey(req);
+  const credential = key ? findCredential(key) : null;
+
+  if (!credential) {
+    logFailure(req, key ? 'unknown key' : 'no credentials');
+    if (realm) res.set('WWW-Authenticate', `Basic realm="${realm}"`);
+    return next(new ApiError(401, 'UNAUTHORIZED', 'A valid API key is required'));
+  }
+
+  req.principal = { name: credential.name, roles: credential.roles, permissions: credential.permissions };
+  next();
+};
+
+/**
+ * Require a permission (enqueue, read or operate)
+ */
+const authorize = (permission) => (req, res, next) => {
+  const { principal } = req;
+
+  // permissions === null means auth is disabled
+  if (!principal || (principal.permissions !== null && !principal.permissions.has(permission))) {
+    logFailure(req, `missing permission "${permission}"`, principal && principal.name);
+    return next(new ApiError(403, 'FORBIDDEN', `This action requires the "${permission}" permission`));
+  }
+  next();
+};
+
+// Only the API needs keys, so this is checked here rather than in config.js
+if (config.auth.enabled && credentials.length === 0) {
+  logger.error('💥 API_KEYS is empty: set at least one key, or AUTH_ENABLED=false to leave the API and dashboard open');
+  process.exit(1);
+}
+
+if (!config.auth.enabled) {
+  logger.warn('⚠️  Authentication is disabled: every endpoint and the dashboard are open (set API_KEYS and remove AUTH_ENABLED=false)');
+}
+
+module.exports = {
+  authenticate,
+  authorize,
+  ROLE_PERMISSIONS,
+};
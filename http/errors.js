@@ -0,0 +1,146 @@
+/**
+ * API Errors
+ *
+ * Every error response has the same JSON shape:
+ *
+ *   {
+ *     "error": "Human readable message",
+ *     "code": "VALIDATION_ERROR",
+ *     "details": [{ "field": "body.to", "message": "must be an email address" }]
+ *   }
+ *
+ * `details` is only present when there is something field-specific to say.
+ * Route handlers throw ApiError (or let other errors bubble up); Express 5
+ * forwards rejected promises to errorHandler, which writes the response.
+ */
+
+const { TemplateError } = require('../templates');
+const { ScheduleError } = require('../jobs/schedules');
+const { DeadLetterError } = require('../jobs/deadLetters');
+const { BulkOperationError } = require('../jobs/bulkOperations');
+const { QueueControlError } = require('../jobs/queueControl');
+const { SuppressionError } = require('../suppressions');
+const { JobSearchError } = require('../jobs/jobSearch');
+const { AnalyticsError } = require('../analytics');
+const { WebhookError } = require('../webhooks');
+const { logger } = require('../logger');
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} code - Stable machine-readable error code
+   * @param {string} message - Human readable message
+   * @param {Array} details - Optional [{ field, message }]
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  static validation(details) {
+    return new ApiError(400, 'VALIDATION_ERROR', 'Request validation failed', details);
+  }
+
+  static notFound(message = 'Not found') {
+    return new ApiError(404, 'NOT_FOUND', message);
+  }
+
+  static conflict(message) {
+    return new ApiError(409, 'CONFLICT', message);
+  }
+}
+
+/**
+ * Map known error types to an ApiError
+ */
+const toApiError = (error) => {
+  if (error instanceof ApiError) {
+    return error;
+  }
+
+  if (error instanceof TemplateError) {
+    return error.code === 'TEMPLATE_NOT_FOUND'
+      ? new ApiError(404, error.code, error.message)
+      : new ApiError(422, error.code, error.message,
+        (error.missing || []).map(name => ({ field: name, message: 'missing template variable' })));
+  }
+
+  if (error instanceof ScheduleError) {
+    return error.code === 'SCHEDULE_NOT_FOUND'
+      ? new ApiError(404, error.code, error.message)
+      : ApiError.validation(error.details);
+  }
+
+  if (error instanceof DeadLetterError) {
+    if (error.code === 'DEAD_LETTER_NOT_FOUND') return new ApiError(404, error.code, error.message);
+    if (error.code === 'NOT_REPLAYABLE') return new ApiError(409, error.code, error.message);
+    return ApiError.validation(error.details);
+  }
+
+  if (error instanceof BulkOperationError) {
+    return error.code === 'OPERATION_NOT_FOUND'
+      ? new ApiError(404, error.code, error.message)
+      : ApiError.validation(error.details);
+  }
+
+  if (error instanceof QueueControlError) {
+    return new ApiError(error.code === 'INVALID_CONFIRMATION' ? 400 : 409, error.code, error.message);
+  }
+
+  if (error instanceof SuppressionError) {
+    if (error.code === 'SUPPRESSION_NOT_FOUND') return new ApiError(404, error.code, error.message);
+    if (error.code === 'INVALID_UNSUBSCRIBE_TOKEN') return new ApiError(400, error.code, error.message);
+    return new ApiError(422, error.code, error.message);
+  }
+
+  if (error instanceof WebhookError) {
+    return new ApiError(422, error.code, error.message, [{ field: 'body.callbackUrl', message: error.message }]);
+  }
+
+  if (error instanceof JobSearchError || error instanceof AnalyticsError) {
+    return new ApiError(400, error.code, error.message);
+  }
+
+  // Malformed JSON and oversized bodies from express.json()
+  if (error.type === 'entity.parse.failed') {
+    return new ApiError(400, 'INVALID_JSON', `Request body is not valid JSON: ${error.message}`);
+  }
+  if (error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, 'BAD_REQUEST', error.message);
+  }
+
+  return new ApiError(500, 'INTERNAL_ERROR', error.message);
+};
+
+/**
+ * Express error-handling middleware (register after all routes)
+ */
+const errorHandler = (error, req, res, next) => {
+  const apiError = toApiError(error);
+
+  if (apiError.status >= 500) {
+    (req.log || logger).error(`💥 ${req.method} ${req.path} failed`, { error });
+  }
+
+  res.status(apiError.status).json({
+    error: apiError.message,
+    code: apiError.code,
+    ...(apiError.details && apiError.details.length ? { details: apiError.details } : {}),
+  });
+};
+
+/**
+ * Fallback for requests that match no route
+ */
+const notFoundHandler = (req, res, next) => {
+  next(ApiError.notFound(`No route for ${req.method} ${req.path}`));
+};
+
+module.exports = {
+  ApiError,
+  errorHandler,
+  notFoundHandler,
+};
@@ -0,0 +1,208 @@
+/**
+ * Live Job Events (Server-Sent Events)
+ *
+ * Streams a queue's job events to HTTP clients as they happen:
+ *
+ *   waiting, active, progress, completed, failed, stalled, delayed
+ *
+ * Each queue gets one shared BullMQ QueueEvents reader per API process, no
+ * matter how many clients are connected. Every SSE message carries the ID
+ * of the entry in the queue's Redis events stream, so a reconnecting client
+ * (EventSource sends Last-Event-ID automatically) first receives what it
+ * missed, read back from that stream, and then continues live. BullMQ trims
+ * the stream to about 10 000 entries, so very old IDs resume from the
+ * oldest event still kept.
+ *
+ * Messages look like:
+ *
+ *   id: 1720000000000-0
+ *   event: progress
+ *   data: {"queue":"emailQueue","jobId":"42","name":"batchEmail","data":50}
+ */
+
+const { QueueEvents } = require('bullmq');
+const { connection, prefix, redisInstance } = require('../redis');
+const { ApiError } = require('./errors');
+const { onShutdown } = require('../shutdown');
+const { logger } = require('../logger');
+
+const EVENT_TYPES = ['waiting', 'active', 'progress', 'completed', 'failed', 'stalled', 'delayed'];
+const EVENT_ID_PATTERN = /^\d+-\d+$/;
+const HEARTBEAT_MS = 15000;
+const REPLAY_LIMIT = 10000;
+const NAME_CACHE_SIZE = 10000;
+
+// Queue name -> { queueEvents, names }
+const readers = new Map();
+
+// Responses streaming right now
+const openStreams = new Set();
+
+/**
+ * Compare two stream IDs ("<ms>-<seq>")
+ */
+const compareIds = (a, b) => {
+  const [aMs, aSeq] = a.split('-').map(Number);
+  const [bMs, bSeq] = b.split('-').map(Number);
+  return aMs - bMs || aSeq - bSeq;
+};
+
+/**
+ * The shared reader for a queue, started on first use
+ *
+ * `names` caches jobId -> job name (events don't carry the name); it is
+ * filled from `added` events and from job hashes on demand.
+ */
+const readerFor = (queue) => {
+  if (!readers.has(queue.name)) {
+    const queueEvents = new QueueEvents(queue.name, { connection, prefix });
+    const names = new Map();
+
+    queueEvents.setMaxListeners(0);
+    queueEvents.on('added', ({ jobId, name }) => rememberName(names, jobId, name));
+    queueEvents.on('error', (error) => {
+      logger.error(`❌ Queue events error (${queue.name})`, { error: error.message });
+    });
+
+    readers.set(queue.name, { queueEvents, names });
+  }
+  return readers.get(queue.name);
+};
+
+const rememberName = (names, jobId, name) => {
+  names.set(jobId, name);
+  if (names.size > NAME_CACHE_SIZE) {
+    names.delete(names.keys().next().value);
+  }
+};
+
+/**
+ * Job name for an event (null if the job is already gone)
+ */
+const jobName = async (queue, names, jobId) => {
+  if (!names.has(jobId)) {
+    rememberName(names, jobId, await redisInstance.hget(queue.toKey(jobId), 'name'));
+  }
+  return names.get(jobId);
+};
+
+/**
+ * Events after `lastEventId` still kept in the queue's events stream
+ */
+const missedEvents = async (queue, lastEventId) => {
+  const entries = await redisInstance.xrange(queue.keys.events, lastEventId, '+', 'COUNT', REPLAY_LIMIT);
+
+  return entries
+    .filter(([id]) => id !== lastEventId)
+    .map(([id, fields]) => {
+      const args = {};
+      for (let i = 0; i < fields.length; i += 2) args[fields[i]] = fields[i + 1];
+
+      // Same decoding QueueEvents applies to live events
+      if (args.event === 'progress') args.data = JSON.parse(args.data);
+      if (args.event === 'completed') args.returnvalue = JSON.parse(args.returnvalue);
+
+      const { event, ...rest } = args;
+      return { id, event, args: rest };
+    });
+};
+
+/**
+ * Stream a queue's events to one client
+ *
+ * @param {object} req - Express request (Last-Event-ID header or ?lastEventId=)
+ * @param {object} res - Express response, kept open until the client leaves
+ * @param {Queue} queue - The queue to follow
+ * @param {object} filters - { jobId } for a single job, { names } for job names
+ */
+const streamEvents = async (req, res, queue, { jobId, names: nameFilter } = {}) => {
+  const lastEventId = req.get('Last-Event-ID') || req.query.lastEventId;
+  if (lastEventId !== undefined && !EVENT_ID_PATTERN.test(lastEventId)) {
+    throw ApiError.validation([{ field: 'headers.Last-Event-ID', message: 'must be an event ID such as 1720000000000-0' }]);
+  }
+
+  const { queueEvents, names } = readerFor(queue);
+  const wanted = nameFilter && nameFilter.length ? new Set(nameFilter) : null;
+
+  let lastSent = lastEventId || null;
+  let replaying = true;
+  const buffered = [];
+
+  // Deliveries are chained so name lookups can't reorder events
+  let delivery = Promise.resolve();
+
+  const send = ({ id, event, args }) => {
+    delivery = delivery.then(async () => {
+      if (res.writableEnded || !EVENT_TYPES.includes(event)) return;
+      if (jobId !== undefined && args.jobId !== jobId) return;
+      if (lastSent && compareIds(id, lastSent) <= 0) return;
+
+      const name = wanted ? await jobName(queue, names, args.jobId) : names.get(args.jobId);
+      if (wanted && !wanted.has(name)) return;
+
+      lastSent = id;
+      res.write(`id: ${id}\nevent: ${event}\ndata: ${JSON.stringify({ queue: queue.name, ...args, name })}\n\n`);
+    }).catch((error) => {
+      logger.error(`❌ Failed to stream ${event} event for job ${args.jobId}`, { error: error.message });
+    });
+  };
+
+  // Subscribe before replaying so nothing falls in between; events that
+  // arrive during the replay are held back and deduplicated by ID
+  const listeners = EVENT_TYPES.map((event) => {
+    const channel = jobId !== undefined ? `${event}:${jobId}` : event;
+    const listener = (args, id) => (replaying ? buffered.push({ id, event, args }) : send({ id, event, args }));
+    queueEvents.on(channel, listener);
+    return [channel, listener];
+  });
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+
+  openStreams.add(res);
+  res.on('close', () => {
+    openStreams.delete(res);
+    clearInterval(heartbeat);
+    listeners.forEach(([channel, listener]) => queueEvents.off(channel, listener));
+  });
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no', // Don't let nginx buffer the stream
+  });
+  res.flushHeaders();
+  res.write('retry: 3000\n\n');
+
+  // The response has started, so errors can only be logged from here on
+  try {
+    if (lastEventId) {
+      (await missedEvents(queue, lastEventId)).forEach(send);
+    }
+  } catch (error) {
+    logger.error(`❌ Failed to replay ${queue.name} events after ${lastEventId}`, { error: error.message });
+  }
+
+  replaying = false;
+  buffered.forEach(send);
+};
+
+/**
+ * Stop every shared reader (on shutdown)
+ */
+const closeEventStreams = async () => {
+  await Promise.all([...readers.values()].map(({ queueEvents }) => queueEvents.close()));
+  readers.clear();
+};
+
+// Clients reconnect (to another instance) on their own, with Last-Event-ID
+onShutdown('intake', 'event streams', async () => {
+  openStreams.forEach(res => res.end());
+});
+onShutdown('connections', 'queue event readers', closeEventStreams);
+
+module.exports = {
+  streamEvents,
+  closeEventStreams,
+  EVENT_TYPES,
+};
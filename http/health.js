@@ -0,0 +1,112 @@
+/**
+ * Health Checks
+ *
+ *   GET /healthz  liveness: the process is up and serving (never touches
+ *                 Redis, so a Redis outage doesn't get the API restarted)
+ *   GET /readyz   readiness: worth sending traffic to. Ready when
+ *                   - Redis answers a PING
+ *                   - every queue with a worker has at least one running,
+ *                     unpaused worker (any process, see workers/heartbeat.js)
+ *                     and is not paused
+ *                   - no such queue has more than READY_MAX_BACKLOG jobs
+ *                     waiting
+ *                 and the process isn't shutting down. Answers 503 otherwise.
+ *
+ * Both are open without an API key, for load balancers and orchestrators.
+ */
+
+const { config } = require('../config');
+const { redisInstance } = require('../redis');
+const { listDefinitions } = require('../queues/registry');
+const { lastHeartbeat } = require('../workers/heartbeat');
+const { isShuttingDown } = require('../shutdown');
+
+// A check that takes longer than this counts as failed
+const CHECK_TIMEOUT_MS = 2000;
+
+const withTimeout = async (promise, what) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${what}: no answer within ${CHECK_TIMEOUT_MS}ms`)), CHECK_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+const checkRedis = async () => {
+  const startedAt = Date.now();
+  try {
+    await withTimeout(redisInstance.ping(), 'PING');
+    return { ok: true, latencyMs: Date.now() - startedAt };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+const checkQueue = async (queue) => {
+  try {
+    const [{ consuming }, paused, counts] = await withTimeout(Promise.all([
+      lastHeartbeat(queue.name),
+      queue.isPaused(),
+      queue.getJobCounts('waiting', 'prioritized')
+    ]), queue.name);
+    const backlog = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    const problems = [];
+    if (consuming === 0) problems.push('no running worker');
+    if (paused) problems.push('queue is paused');
+    if (backlog > config.server.readyMaxBacklog) problems.push(`backlog above ${config.server.readyMaxBacklog}`);
+
+    return { ok: problems.length === 0, workers: consuming, paused, backlog, problems };
+  } catch (error) {
+    return { ok: false, error: error.message };
+  }
+};
+
+/**
+ * Run the readiness checks
+ *
+ * @returns {object} { status: ready | not_ready | shutting_down, checks: { redis, queues } }
+ */
+const checkReadiness = async () => {
+  if (isShuttingDown()) {
+    return { status: 'shutting_down', checks: {} };
+  }
+
+  const redis = await checkRedis();
+  const queues = {};
+
+  // Without Redis every queue check would just time out
+  if (redis.ok) {
+    const definitions = listDefinitions().filter(definition => definition.worker);
+    const results = await Promise.all(definitions.map(({ queue }) => checkQueue(queue)));
+    definitions.forEach(({ name }, index) => { queues[name] = results[index]; });
+  }
+
+  const ready = redis.ok && Object.values(queues).every(check => check.ok);
+  return { status: ready ? 'ready' : 'not_ready', checks: { redis, queues } };
+};
+
+/**
+ * GET /healthz
+ */
+const livenessHandler = (req, res) => {
+  res.json({ status: 'ok', uptime: Math.round(process.uptime()), pid: process.pid });
+};
+
+/**
+ * GET /readyz
+ */
+const readinessHandler = async (req, res) => {
+  const readiness = await checkReadiness();
+  res.status(readiness.status === 'ready' ? 200 : 503).json(readiness);
+};
+
+module.exports = {
+  checkReadiness,
+  livenessHandler,
+  readinessHandler
+};
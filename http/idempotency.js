@@ -0,0 +1,144 @@
+/**
+ * Idempotency Keys
+ *
+ * Clients can send an `Idempotency-Key` header with any job-creating
+ * request. The first request with a key runs normally and its response is
+ * stored in Redis for `idempotency.ttlSeconds`. Repeating the request with
+ * the same key and the same payload returns the stored response (with
+ * `Idempotent-Replayed: true`) instead of adding new jobs.
+ *
+ * - Same key, different payload  -> 409 IDEMPOTENCY_KEY_REUSED
+ * - Same key, first still running -> 409 IDEMPOTENCY_KEY_IN_USE
+ * - Failed requests (4xx/5xx) are not stored, so the client can fix and retry
+ *
+ * The response is stored as soon as the handler produces it, so it is there
+ * for the retry even when the client gave up waiting and disconnected. A
+ * request that ends without a response releases its key; one that never
+ * ends (a crashed process) holds it for `idempotency.processingTtlSeconds`
+ * only.
+ *
+ * The key also determines the job IDs (req.idempotency.jobId, or .uuid for
+ * IDs that must look like a UUID), so even if the stored response is lost,
+ * BullMQ won't add a second job with the same ID.
+ */
+
+const crypto = require('crypto');
+const { redisInstance, redisKey } = require('../redis');
+const { config } = require('../config');
+const { ApiError } = require('./errors');
+const { logger } = require('../logger');
+
+const HEADER = 'Idempotency-Key';
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;  // Printable ASCII, no spaces
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+/**
+ * JSON with sorted object keys, so {a,b} and {b,a} fingerprint the same
+ */
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Express middleware for one route
+ *
+ * Register it before validate() so the fingerprint covers exactly what the
+ * client sent.
+ */
+const idempotent = () => async (req, res, next) => {
+  const key = req.get(HEADER);
+  if (key === undefined) {
+    return next();
+  }
+  if (!KEY_PATTERN.test(key)) {
+    return next(ApiError.validation([{
+      field: `headers.${HEADER}`,
+      message: 'must be 1-255 printable ASCII characters without spaces',
+    }]));
+  }
+
+  // Keys are scoped per caller and route
+  const scope = `${req.method} ${req.baseUrl}${req.route.path}`;
+  const caller = req.principal ? req.principal.name : 'anonymous';
+  const hash = sha256(`${caller}\n${scope}\n${key}`);
+  const storeKey = redisKey('idempotency', hash);
+  const fingerprint = sha256(canonicalJson(req.body === undefined ? {} : req.body));
+  const { ttlSeconds, processingTtlSeconds } = config.idempotency;
+
+  try {
+    const claimed = await redisInstance.set(
+      storeKey,
+      JSON.stringify({ state: 'processing', fingerprint }),
+      'EX', processingTtlSeconds, 'NX'
+    );
+
+    if (!claimed) {
+      const stored = JSON.parse(await redisInstance.get(storeKey) || 'null');
+
+      if (!stored) {
+        // Expired between SET and GET: treat as a new request
+        return idempotent()(req, res, next);
+      }
+      if (stored.fingerprint !== fingerprint) {
+        throw new ApiError(409, 'IDEMPOTENCY_KEY_REUSED',
+          `${HEADER} "${key}" was already used with a different request payload`);
+      }
+      if (stored.state === 'processing') {
+        throw new ApiError(409, 'IDEMPOTENCY_KEY_IN_USE',
+          `A request with ${HEADER} "${key}" is still being processed`);
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(stored.status).json(stored.body);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Deterministic IDs derived from the key (see module comment)
+  req.idempotency = {
+    key,
+    jobId: `idem-${hash.slice(0, 32)}`,
+    uuid: [hash.slice(0, 8), hash.slice(8, 12), hash.slice(12, 16), hash.slice(16, 20), hash.slice(20, 32)].join('-'),
+  };
+
+  // Store the response (or release the key) once, whatever happens first:
+  // the handler responds, or the request ends without a response
+  let settled = false;
+  const settle = (status, body) => {
+    if (settled) return;
+    settled = true;
+    const save = status < 400 && body !== undefined
+      ? redisInstance.set(
+        storeKey,
+        JSON.stringify({ state: 'done', fingerprint, status, body }),
+        'EX', ttlSeconds
+      )
+      : redisInstance.del(storeKey);
+
+    save.catch(error => logger.error(`❌ Failed to store idempotent response for ${scope}`, { error: error.message }));
+  };
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    settle(res.statusCode, body);
+    return json(body);
+  };
+
+  // 'close' also fires when the client disconnected before the response
+  res.on('close', () => settle(res.statusCode));
+
+  next();
+};
+
+module.exports = {
+  idempotent,
+  canonicalJson,
+};
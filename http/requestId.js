@@ -0,0 +1,57 @@
+/**
+ * Request IDs
+ *
+ * Every request gets an ID: the X-Request-Id header it came with, if that
+ * looks like one, or a new UUID. The ID is
+ *
+ *   - sent back in the X-Request-Id response header
+ *   - on every line logged through req.log
+ *   - stored as data.requestId in the jobs the request adds, so the worker's
+ *     log lines for those jobs (and their job logs in Bull Board) carry it
+ *     too (see logger.js)
+ */
+
+const crypto = require('crypto');
+const { logger } = require('../logger');
+
+const REQUEST_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Polled all the time: only logged at debug level
+const QUIET_PATHS = ['/healthz', '/readyz', '/metrics'];
+
+const decodePath = (path) => {
+  try {
+    return decodeURIComponent(path);
+  } catch (error) {
+    return path;
+  }
+};
+
+/**
+ * Middleware that sets req.id and req.log and logs each response
+ */
+const requestId = () => (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  req.log = logger.child({ requestId: req.id });
+  res.set('X-Request-Id', req.id);
+
+  const started = Date.now();
+  res.on('finish', () => {
+    // The path only: query strings can hold addresses the redaction can't see (%40)
+    const path = decodePath(req.originalUrl.split('?')[0]);
+    const level = QUIET_PATHS.includes(path) ? 'debug' : 'info';
+    req.log[level](`➡️  ${req.method} ${path} ${res.statusCode}`, {
+      method: req.method,
+      path,
+      status: res.statusCode,
+      durationMs: Date.now() - started,
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  requestId,
+};
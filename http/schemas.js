@@ -0,0 +1,1227 @@
+/**
+ * Request and Response Schemas
+ *
+ * One entry per endpoint: { params, query, body } in the JSON Schema subset
+ * understood by http/validation.js, and the responses by status code, which
+ * are documented but not validated (see http/openapi.js):
+ *
+ *   a JSON Schema      JSON body
+ *   a string           an error ({ error, code, details }) described by it
+ *   null               no body
+ *   content(type, ..)  a body of another type (HTML, text, event stream)
+ */
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Shared building blocks
+const email = { type: 'string', format: 'email', maxLength: 320 };
+const jobId = { type: 'string', minLength: 1, maxLength: 200 };
+const queueName = { type: 'string', pattern: '^[a-zA-Z0-9_-]{1,100}$' };
+// http(s) only; private and loopback destinations are refused at delivery
+// time (see webhooks/destination.js)
+const httpUrl = { type: 'string', format: 'uri', maxLength: 2000 };
+const deadLetterId = { type: 'string', pattern: '^dlq-[0-9a-f]{32}$' };
+// Rate limits are counted per tenant (see jobs/rateLimits.js)
+const tenantId = { type: 'string', pattern: '^[a-zA-Z0-9_.-]{1,100}$' };
+const jobNameList = { type: 'array', items: { type: 'string', minLength: 1, maxLength: 100 }, maxItems: 20 };
+
+// Response building blocks
+const dateTime = { type: 'string', format: 'date-time' };
+const nullable = schema => ({ ...schema, nullable: true });
+const object = (properties, extra = {}) => ({ type: 'object', properties, ...extra });
+const list = items => ({ type: 'array', items });
+const jobCounts = { type: 'object', description: 'Jobs per state', additionalProperties: { type: 'integer' } };
+const content = (contentType, description) => ({ contentType, description });
+const eventStream = content('text/event-stream', 'Server-Sent Events: waiting, active, progress, completed, failed, ...; resumes from Last-Event-ID');
+
+// Recurring schedule settings, shared by create and update
+const scheduleFields = {
+  name: { type: 'string', minLength: 1, maxLength: 200 },
+  to: email,
+  subject: { type: 'string', minLength: 1, maxLength: 998 },
+  text: { type: 'string', maxLength: 100000 },
+  html: { type: 'string', maxLength: 500000 },
+  cron: { type: 'string', format: 'cron' },
+  timezone: { type: 'string', format: 'time-zone' },
+  startDate: { type: 'string', format: 'date-time', 'x-max-future': 365 * DAY },
+  endDate: { type: 'string', format: 'date-time', 'x-future': true },
+  maxRuns: { type: 'integer', minimum: 1, maximum: 1000000 },
+  tenantId,
+};
+
+const recipientList = {
+  type: 'array',
+  items: email,
+  minItems: 1,
+  maxItems: 10000,
+};
+
+// A campaign recipient: "user@example.com" or { email, ...mergeFields }
+const campaignRecipient = {
+  description: 'an email address or an object with an "email" property',
+  oneOf: [
+    email,
+    {
+      type: 'object',
+      required: ['email'],
+      properties: { email },
+    },
+  ],
+};
+
+// See suppressions/index.js
+const suppressionReasons = ['unsubscribed', 'bounced', 'complaint', 'manual'];
+
+// Which jobs a bulk operation acts on (see jobs/bulkOperations.js)
+const bulkFilter = {
+  type: 'object',
+  additionalProperties: false,
+  default: {},
+  properties: {
+    states: {
+      type: 'array',
+      items: { type: 'string', enum: ['waiting', 'prioritized', 'delayed', 'completed', 'failed', 'waiting-children'] },
+      minItems: 1,
+    },
+    names: jobNameList,
+    data: { type: 'object' },
+    createdAfter: { type: 'string', format: 'date-time' },
+    createdBefore: { type: 'string', format: 'date-time' },
+    failedAfter: { type: 'string', format: 'date-time' },
+    failedBefore: { type: 'string', format: 'date-time' },
+  },
+};
+
+// Job search filters (see jobs/jobSearch.js)
+const jobSearchQuery = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    states: {
+      type: 'array',
+      items: { type: 'string', enum: ['waiting', 'prioritized', 'delayed', 'active', 'completed', 'failed', 'waiting-children'] },
+      minItems: 1,
+    },
+    name: jobNameList,
+    recipient: email,
+    campaign: { type: 'string', minLength: 1, maxLength: 200 },
+    createdAfter: { type: 'string', format: 'date-time' },
+    createdBefore: { type: 'string', format: 'date-time' },
+    finishedAfter: { type: 'string', format: 'date-time' },
+    finishedBefore: { type: 'string', format: 'date-time' },
+    limit: { type: 'integer', minimum: 1, maximum: 100, default: 20 },
+    cursor: { type: 'string', pattern: '^[A-Za-z0-9_-]{1,500}$' },
+  },
+};
+
+// Response bodies shared by several endpoints
+const schedule = object({
+  id: { type: 'string' },
+  name: nullable({ type: 'string' }),
+  status: { type: 'string', enum: ['active', 'paused', 'finished'] },
+  cron: { type: 'string' },
+  timezone: nullable({ type: 'string' }),
+  startDate: nullable(dateTime),
+  endDate: nullable(dateTime),
+  maxRuns: nullable({ type: 'integer' }),
+  runs: { type: 'integer' },
+  nextRun: nullable(dateTime),
+  data: { type: 'object', description: 'Data of the jobs the schedule adds (to, subject, text, html, tenantId)' },
+  createdAt: dateTime,
+  updatedAt: dateTime,
+});
+
+const suppressedRecipients = list(object({ email: { type: 'string' }, reason: { type: 'string', enum: suppressionReasons } }));
+
+const webhookSubscription = object({
+  id: { type: 'string' },
+  url: { type: 'string' },
+  events: list({ type: 'string' }),
+  jobNames: nullable(list({ type: 'string' })),
+  description: nullable({ type: 'string' }),
+  createdAt: dateTime,
+});
+
+const suppression = object({
+  email: { type: 'string' },
+  reason: { type: 'string', enum: suppressionReasons },
+  note: nullable({ type: 'string' }),
+  source: { type: 'string' },
+  createdAt: dateTime,
+});
+
+const deadLetter = object({
+  id: { type: 'string' },
+  queue: { type: 'string' },
+  jobId: { type: 'string' },
+  name: { type: 'string' },
+  data: { type: 'object', description: 'Payload the job is replayed with' },
+  opts: { type: 'object' },
+  failedReason: { type: 'string' },
+  attemptsMade: { type: 'integer' },
+  attempts: list(object({ attempt: { type: 'integer' }, error: { type: 'string' }, stack: nullable({ type: 'string' }), failedAt: dateTime })),
+  createdAt: dateTime,
+  processedAt: nullable(dateTime),
+  failedAt: dateTime,
+  deadLetteredAt: dateTime,
+  editedAt: nullable(dateTime),
+});
+
+const replayed = object({ id: { type: 'string' }, queue: { type: 'string' }, jobId: { type: 'string' } });
+const skipped = list(object({ id: { type: 'string' }, reason: { type: 'string' } }));
+
+const jobDetails = object({
+  id: { type: 'string' },
+  queue: { type: 'string' },
+  name: { type: 'string' },
+  data: { type: 'object' },
+  state: { type: 'string' },
+  progress: { description: 'A percentage or an object reported by the job' },
+  attempts: { type: 'integer' },
+  maxAttempts: { type: 'integer' },
+  createdAt: dateTime,
+  processedOn: nullable(dateTime),
+  finishedOn: nullable(dateTime),
+  failedReason: { type: 'string' },
+  returnValue: { description: 'What the job returned' },
+});
+
+const jobRetried = object({ message: { type: 'string' }, queue: { type: 'string' }, jobId: { type: 'string' } });
+
+const jobSearchResult = object({
+  jobs: list(object({
+    id: { type: 'string' },
+    queue: { type: 'string' },
+    name: { type: 'string' },
+    state: { type: 'string' },
+    recipient: nullable({ type: 'string' }),
+    recipientCount: { type: 'integer' },
+    campaignName: nullable({ type: 'string' }),
+    tenantId: nullable({ type: 'string' }),
+    requestId: nullable({ type: 'string' }),
+    progress: {},
+    attempts: { type: 'integer' },
+    createdAt: dateTime,
+    processedOn: nullable(dateTime),
+    finishedOn: nullable(dateTime),
+    failedReason: nullable({ type: 'string' }),
+    details: { type: 'string', description: 'Path of the job details' },
+  })),
+  nextCursor: nullable({ type: 'string', description: 'Pass as cursor for the next page; null on the last page' }),
+  scanned: { type: 'integer' },
+});
+
+const recentJob = object({ id: { type: 'string' }, name: { type: 'string' } }, { additionalProperties: true });
+const rateLimitUsage = {
+  type: 'object',
+  additionalProperties: object({ max: { type: 'integer' }, durationMs: { type: 'integer' }, used: { type: 'integer' }, remaining: { type: 'integer' }, resetsInMs: nullable({ type: 'integer' }) }),
+};
+const queueStats = object({
+  queue: { type: 'string' },
+  paused: { type: 'boolean' },
+  counts: jobCounts,
+  rateLimits: {
+    description: 'Email queue only: usage of the per-domain and per-tenant rate limits',
+    ...object({ domains: rateLimitUsage, tenants: rateLimitUsage, domainDefault: nullable({ type: 'object' }), tenantDefault: nullable({ type: 'object' }) }),
+  },
+  recentJobs: object({ waiting: list(recentJob), active: list(recentJob), completed: list(recentJob), failed: list(recentJob) }),
+});
+
+const queueState = object({
+  queue: { type: 'string' },
+  paused: { type: 'boolean' },
+  localWorker: nullable(object({ running: { type: 'boolean' }, paused: { type: 'boolean' } })),
+  counts: jobCounts,
+});
+
+const bulkOperationState = object({
+  id: { type: 'string' },
+  queue: { type: 'string' },
+  action: { type: 'string' },
+  filter: { type: 'object' },
+  priority: { type: 'integer' },
+  state: { type: 'string' },
+  progress: nullable(object({ percent: { type: 'integer' }, total: { type: 'integer' }, processed: { type: 'integer' }, succeeded: { type: 'integer' }, failed: { type: 'integer' } })),
+  result: nullable({ type: 'object', description: 'The final progress plus the first errors' }),
+  failedReason: nullable({ type: 'string' }),
+  createdAt: dateTime,
+  finishedAt: nullable(dateTime),
+});
+
+const analyticsCounts = object({ sent: { type: 'integer' }, failed: { type: 'integer' }, retried: { type: 'integer' }, suppressed: { type: 'integer' } });
+
+const readiness = object({
+  status: { type: 'string', enum: ['ready', 'not_ready', 'shutting_down'] },
+  checks: object({
+    redis: object({ ok: { type: 'boolean' }, latencyMs: { type: 'integer' }, error: { type: 'string' } }),
+    queues: {
+      type: 'object',
+      additionalProperties: object({ ok: { type: 'boolean' }, workers: { type: 'integer' }, paused: { type: 'boolean' }, backlog: { type: 'integer' }, problems: list({ type: 'string' }), error: { type: 'string' } }),
+    },
+  }),
+});
+
+const schemas = {
+  apiInfo: {
+    responses: {
+      200: object({
+        message: { type: 'string' },
+        docs: { type: 'string' },
+        openapi: { type: 'string' },
+        dashboard: { type: 'string' },
+        endpoints: { type: 'object', description: '"METHOD /path" -> summary', additionalProperties: { type: 'string' } },
+      }),
+    },
+  },
+
+  openApi: {
+    responses: {
+      200: { type: 'object', description: 'This document' },
+    },
+  },
+
+  docs: {
+    responses: {
+      200: content('text/html', 'API reference page'),
+    },
+  },
+
+  liveness: {
+    responses: {
+      200: object({ status: { type: 'string', enum: ['ok'] }, uptime: { type: 'integer' }, pid: { type: 'integer' } }),
+    },
+  },
+
+  readiness: {
+    responses: {
+      200: { ...readiness, description: 'Ready' },
+      503: { ...readiness, description: 'Not ready, or shutting down' },
+    },
+  },
+
+  unsubscribePage: {
+    params: {
+      type: 'object',
+      properties: { token: { type: 'string' } },
+    },
+    responses: {
+      200: content('text/html', 'Page asking the recipient to confirm; nothing is changed yet'),
+      400: content('text/html', 'The link is not valid'),
+    },
+  },
+
+  oneClickUnsubscribe: {
+    params: {
+      type: 'object',
+      properties: { token: { type: 'string' } },
+    },
+    responses: {
+      200: object({ unsubscribed: { type: 'boolean' }, email: { type: 'string' } }, {
+        description: 'Unsubscribed (browsers that ask for text/html get a confirmation page instead)',
+      }),
+      400: 'The link is not valid',
+    },
+  },
+
+  sendEmail: {
+    body: {
+      type: 'object',
+      required: ['to'],
+      additionalProperties: false,
+      properties: {
+        to: email,
+        delay: { type: 'integer', minimum: 0, maximum: 30 * DAY, default: 0 },
+        callbackUrl: httpUrl,
+        tenantId,
+      },
+    },
+    responses: {
+      200: object({
+        message: { type: 'string' },
+        jobId: { type: 'string' },
+        delay: { type: 'integer' },
+        willProcessAt: { type: 'string', description: 'ISO date, or "immediately"' },
+      }),
+      422: 'The recipient is on the suppression list, or callbackUrl is set and the server has no WEBHOOK_SECRET',
+    },
+  },
+
+  sendUrgent: {
+    body: {
+      type: 'object',
+      required: ['to'],
+      additionalProperties: false,
+      properties: {
+        to: email,
+        tenantId,
+      },
+    },
+    responses: {
+      200: object({ message: { type: 'string' }, jobId: { type: 'string' }, priority: { type: 'integer' } }),
+      422: 'The recipient is on the suppression list',
+    },
+  },
+
+  sendRecurring: {
+    body: {
+      type: 'object',
+      required: ['to'],
+      additionalProperties: false,
+      properties: {
+        to: email,
+        cron: { type: 'string', format: 'cron', default: '*/1 * * * *' },
+      },
+    },
+    responses: {
+      201: object({
+        message: { type: 'string' },
+        scheduleId: { type: 'string' },
+        cron: { type: 'string' },
+        nextRun: nullable(dateTime),
+        manage: { type: 'string', description: 'Path of the schedule' },
+      }),
+    },
+  },
+
+  createSchedule: {
+    body: {
+      type: 'object',
+      required: ['to', 'cron'],
+      additionalProperties: false,
+      properties: scheduleFields,
+    },
+    responses: {
+      201: schedule,
+    },
+  },
+
+  listSchedules: {
+    responses: {
+      200: object({ schedules: list(schedule) }),
+    },
+  },
+
+  updateSchedule: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: scheduleFields,
+    },
+    responses: {
+      200: schedule,
+      404: 'Schedule not found',
+    },
+  },
+
+  scheduleById: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      200: schedule,
+      404: 'Schedule not found',
+    },
+  },
+
+  pauseSchedule: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      200: schedule,
+      404: 'Schedule not found',
+    },
+  },
+
+  resumeSchedule: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      200: schedule,
+      404: 'Schedule not found',
+    },
+  },
+
+  deleteSchedule: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      204: null,
+      404: 'Schedule not found',
+    },
+  },
+
+  scheduleEmail: {
+    body: {
+      type: 'object',
+      required: ['to', 'scheduleTime'],
+      additionalProperties: false,
+      properties: {
+        to: email,
+        scheduleTime: { type: 'string', format: 'date-time', 'x-future': true, 'x-max-future': 365 * DAY },
+        tenantId,
+      },
+    },
+    responses: {
+      200: object({ message: { type: 'string' }, jobId: { type: 'string' }, scheduledFor: dateTime }),
+      422: 'The recipient is on the suppression list',
+    },
+  },
+
+  sendBatch: {
+    body: {
+      type: 'object',
+      required: ['recipients'],
+      additionalProperties: false,
+      properties: {
+        recipients: recipientList,
+        batchSize: { type: 'integer', minimum: 1, maximum: 1000, default: 10 },
+        callbackUrl: httpUrl,
+        tenantId,
+      },
+    },
+    responses: {
+      200: object({
+        message: { type: 'string' },
+        totalJobs: { type: 'integer' },
+        batchSize: { type: 'integer' },
+        jobIds: list({ type: 'string' }),
+        suppressed: { type: 'integer' },
+        suppressedRecipients,
+      }),
+      422: 'Every recipient is on the suppression list, or callbackUrl is set and the server has no WEBHOOK_SECRET',
+    },
+  },
+
+  sendWithProgress: {
+    body: {
+      type: 'object',
+      required: ['recipients'],
+      additionalProperties: false,
+      properties: {
+        recipients: recipientList,
+        tenantId,
+      },
+    },
+    responses: {
+      200: object({
+        message: { type: 'string' },
+        jobId: { type: 'string' },
+        totalRecipients: { type: 'integer' },
+        trackProgress: { type: 'string' },
+        suppressed: { type: 'integer' },
+        suppressedRecipients,
+      }),
+      422: 'Every recipient is on the suppression list',
+    },
+  },
+
+  createCampaign: {
+    body: {
+      type: 'object',
+      required: ['name', 'recipients', 'templateId'],
+      additionalProperties: false,
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        recipients: { type: 'array', items: campaignRecipient, minItems: 1, maxItems: 10000 },
+        templateId: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' },
+        sendTime: { type: 'string', format: 'date-time', 'x-future': true, 'x-max-future': 365 * DAY },
+        data: { type: 'object', default: {} },
+        callbackUrl: httpUrl,
+        tenantId,
+      },
+    },
+    responses: {
+      200: object({
+        message: { type: 'string' },
+        campaign: object({
+          id: { type: 'string' },
+          name: { type: 'string' },
+          totalRecipients: { type: 'integer' },
+          suppressed: { type: 'integer' },
+          suppressedRecipients,
+          templateId: { type: 'string' },
+          sendTime: { type: 'string', description: 'ISO date, or "immediate"' },
+        }),
+        jobs: object({ preparation: { type: 'string' }, sending: { type: 'string' }, reporting: { type: 'string' } }),
+        trackStatus: { type: 'string' },
+      }),
+      404: 'Unknown template',
+      422: 'Every recipient is on the suppression list, or callbackUrl is set and the server has no WEBHOOK_SECRET',
+    },
+  },
+
+  campaignStatus: {
+    params: {
+      type: 'object',
+      properties: { id: { type: 'string', pattern: '^campaign-[0-9a-f-]{36}$' } },
+    },
+    responses: {
+      200: object({
+        campaignId: { type: 'string' },
+        name: { type: 'string' },
+        status: { type: 'string', enum: ['preparing', 'scheduled', 'sending', 'reporting', 'completed', 'failed'] },
+        progress: { type: 'integer', description: 'Percent' },
+        failedReason: nullable({ type: 'string' }),
+        steps: { type: 'object', description: 'The report job, with the send and prepare jobs as children' },
+        recipients: object({
+          total: { type: 'integer' },
+          sent: { type: 'integer' },
+          failed: { type: 'integer' },
+          suppressed: { type: 'integer' },
+          pending: { type: 'integer' },
+          invalid: list({}),
+          results: list(object({
+            email: { type: 'string' },
+            status: { type: 'string', enum: ['sent', 'failed', 'suppressed', 'pending'] },
+            messageId: { type: 'string' },
+            error: { type: 'string' },
+            reason: { type: 'string' },
+          })),
+        }),
+        report: nullable({ type: 'object', description: 'The campaignReport result, once it ran' }),
+      }),
+      404: 'Campaign not found',
+    },
+  },
+
+  listTemplates: {
+    responses: {
+      200: object({ templates: list({ type: 'string' }) }),
+    },
+  },
+
+  templatePreview: {
+    params: {
+      type: 'object',
+      properties: { id: { type: 'string', pattern: '^[a-zA-Z0-9_-]+$' } },
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        data: { type: 'object' },
+      },
+    },
+    responses: {
+      200: object({
+        templateId: { type: 'string' },
+        data: { type: 'object' },
+        rendered: object({ subject: { type: 'string' }, text: { type: 'string' }, html: { type: 'string' } }),
+      }),
+      404: 'Template not found',
+      422: 'The data lacks variables the template uses',
+    },
+  },
+
+  jobById: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      200: jobDetails,
+      404: 'Job not found',
+    },
+  },
+
+  jobProgress: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      200: object({
+        id: { type: 'string' },
+        state: { type: 'string' },
+        progress: { description: 'A percentage or an object reported by the job' },
+        progressData: { type: 'string' },
+      }),
+      404: 'Job not found',
+    },
+  },
+
+  retryJob: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      200: jobRetried,
+      404: 'Job not found',
+      409: 'The job has not failed',
+    },
+  },
+
+  queueStats: {
+    responses: {
+      200: queueStats,
+    },
+  },
+
+  cleanupQueue: {
+    responses: {
+      200: object({ message: { type: 'string' }, newCounts: jobCounts }),
+    },
+  },
+
+  queueEvents: {
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: jobNameList,
+        lastEventId: { type: 'string', pattern: '^\\d+-\\d+$' },
+      },
+    },
+    responses: {
+      200: eventStream,
+    },
+  },
+
+  queueEventsByName: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName },
+    },
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        name: jobNameList,
+        lastEventId: { type: 'string', pattern: '^\\d+-\\d+$' },
+      },
+    },
+    responses: {
+      200: eventStream,
+    },
+  },
+
+  jobEvents: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        lastEventId: { type: 'string', pattern: '^\\d+-\\d+$' },
+      },
+    },
+    responses: {
+      200: eventStream,
+    },
+  },
+
+  queueJobEvents: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName, id: jobId },
+    },
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        lastEventId: { type: 'string', pattern: '^\\d+-\\d+$' },
+      },
+    },
+    responses: {
+      200: eventStream,
+    },
+  },
+
+  createWebhook: {
+    body: {
+      type: 'object',
+      required: ['url'],
+      additionalProperties: false,
+      properties: {
+        url: httpUrl,
+        events: {
+          type: 'array',
+          items: { type: 'string', enum: ['job.completed', 'job.failed'] },
+          minItems: 1,
+          default: ['job.completed', 'job.failed'],
+        },
+        jobNames: jobNameList,
+        description: { type: 'string', maxLength: 500 },
+      },
+    },
+    responses: {
+      201: {
+        ...webhookSubscription,
+        properties: { ...webhookSubscription.properties, secret: { type: 'string', description: 'Signing secret; only returned here' } },
+      },
+    },
+  },
+
+  listWebhooks: {
+    responses: {
+      200: object({ subscriptions: list(webhookSubscription) }),
+    },
+  },
+
+  webhookById: {
+    params: {
+      type: 'object',
+      properties: { id: { type: 'string', pattern: '^webhook-[0-9a-f-]{36}$' } },
+    },
+    responses: {
+      200: webhookSubscription,
+      404: 'Webhook subscription not found',
+    },
+  },
+
+  deleteWebhook: {
+    params: {
+      type: 'object',
+      properties: { id: { type: 'string', pattern: '^webhook-[0-9a-f-]{36}$' } },
+    },
+    responses: {
+      204: null,
+      404: 'Webhook subscription not found',
+    },
+  },
+
+  webhookDeliveries: {
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        deliveryId: { type: 'string', maxLength: 100 },
+        jobId,
+        subscriptionId: { type: 'string', maxLength: 100 },
+        outcome: { type: 'string', enum: ['delivered', 'retrying', 'failed'] },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 },
+      },
+    },
+    responses: {
+      200: object({
+        deliveries: list(object({
+          deliveryId: { type: 'string' },
+          event: { type: 'string' },
+          jobId: { type: 'string' },
+          queue: { type: 'string' },
+          subscriptionId: nullable({ type: 'string' }),
+          url: { type: 'string' },
+          attempt: { type: 'integer' },
+          outcome: { type: 'string', enum: ['delivered', 'retrying', 'failed'] },
+          status: nullable({ type: 'integer' }),
+          error: nullable({ type: 'string' }),
+          durationMs: { type: 'integer' },
+          at: dateTime,
+        })),
+      }),
+    },
+  },
+
+  listDeadLetters: {
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        queue: queueName,
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 50 },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+      },
+    },
+    responses: {
+      200: object({
+        total: { type: 'integer' },
+        entries: list(object({
+          id: { type: 'string' },
+          queue: { type: 'string' },
+          jobId: { type: 'string' },
+          name: { type: 'string' },
+          failedReason: { type: 'string' },
+          attemptsMade: { type: 'integer' },
+          failedAt: dateTime,
+          deadLetteredAt: dateTime,
+          editedAt: nullable(dateTime),
+        })),
+      }),
+    },
+  },
+
+  deadLetterById: {
+    params: {
+      type: 'object',
+      properties: { id: deadLetterId },
+    },
+    responses: {
+      200: deadLetter,
+      404: 'Dead letter not found',
+    },
+  },
+
+  replayDeadLetter: {
+    params: {
+      type: 'object',
+      properties: { id: deadLetterId },
+    },
+    responses: {
+      200: replayed,
+      404: 'Dead letter not found',
+      409: 'Its queue no longer exists',
+    },
+  },
+
+  purgeDeadLetter: {
+    params: {
+      type: 'object',
+      properties: { id: deadLetterId },
+    },
+    responses: {
+      204: null,
+      404: 'Dead letter not found',
+    },
+  },
+
+  updateDeadLetter: {
+    params: {
+      type: 'object',
+      properties: { id: deadLetterId },
+    },
+    body: {
+      type: 'object',
+      required: ['data'],
+      additionalProperties: false,
+      properties: {
+        data: { type: 'object' },
+      },
+    },
+    responses: {
+      200: deadLetter,
+      404: 'Dead letter not found',
+    },
+  },
+
+  replayDeadLetters: {
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ids: { type: 'array', items: deadLetterId, minItems: 1, maxItems: 1000 },
+        queue: queueName,
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        all: { type: 'boolean' },
+      },
+    },
+    responses: {
+      200: object({ replayed: list(replayed), skipped }),
+    },
+  },
+
+  purgeDeadLetters: {
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        ids: { type: 'array', items: deadLetterId, minItems: 1, maxItems: 1000 },
+        queue: queueName,
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        before: { type: 'string', format: 'date-time' },
+        all: { type: 'boolean' },
+      },
+    },
+    responses: {
+      200: object({ purged: { type: 'integer' }, skipped }),
+    },
+  },
+
+  bulkOperation: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName },
+    },
+    body: {
+      type: 'object',
+      required: ['action'],
+      additionalProperties: false,
+      properties: {
+        action: { type: 'string', enum: ['retry', 'remove', 'promote', 'changePriority'] },
+        filter: bulkFilter,
+        priority: { type: 'integer', minimum: 0, maximum: 2097152 },
+        dryRun: { type: 'boolean', default: false },
+      },
+    },
+    responses: {
+      200: object({
+        dryRun: { type: 'boolean' },
+        queue: { type: 'string' },
+        action: { type: 'string' },
+        matched: { type: 'integer' },
+        byState: { type: 'object', additionalProperties: { type: 'integer' } },
+        sample: list({ type: 'string' }),
+      }, { description: 'dryRun: the jobs that would be affected' }),
+      202: {
+        ...bulkOperationState,
+        description: 'The operation was started',
+        properties: { ...bulkOperationState.properties, links: object({ status: { type: 'string' }, events: { type: 'string' } }) },
+      },
+    },
+  },
+
+  bulkOperationById: {
+    params: {
+      type: 'object',
+      properties: { id: jobId },
+    },
+    responses: {
+      200: bulkOperationState,
+      404: 'Bulk operation not found',
+    },
+  },
+
+  listQueues: {
+    responses: {
+      200: object({
+        queues: list(object({
+          name: { type: 'string' },
+          description: nullable({ type: 'string' }),
+          paused: { type: 'boolean' },
+          counts: jobCounts,
+          worker: nullable(object({ concurrency: { type: 'integer' }, limiter: nullable({ type: 'object' }) })),
+          links: object({ stats: { type: 'string' }, dashboard: { type: 'string' } }),
+        })),
+      }),
+    },
+  },
+
+  queueByName: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName },
+    },
+    responses: {
+      200: queueStats,
+      404: 'Queue not found',
+    },
+  },
+
+  pauseQueue: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName },
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        scope: { type: 'string', enum: ['global', 'local'], default: 'global' },
+      },
+    },
+    responses: {
+      200: queueState,
+      404: 'Queue not found',
+      409: 'scope is local and no worker for the queue runs in this process',
+    },
+  },
+
+  drainQueue: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName },
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        delayed: { type: 'boolean', default: true },
+      },
+    },
+    responses: {
+      200: { ...queueState, properties: { ...queueState.properties, removed: { type: 'integer' } } },
+      404: 'Queue not found',
+    },
+  },
+
+  obliterateQueue: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName },
+    },
+    body: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        confirmationToken: { type: 'string', pattern: '^[0-9a-f]{32}$' },
+        force: { type: 'boolean', default: false },
+      },
+    },
+    responses: {
+      200: {
+        description: 'Without a confirmationToken: the token to confirm with; with one: the queue state after deletion',
+        ...queueState,
+        properties: { ...queueState.properties, confirmationToken: { type: 'string' }, expiresAt: dateTime },
+      },
+      400: 'Wrong or expired confirmation token',
+      404: 'Queue not found',
+      409: 'The queue has active jobs (use force)',
+    },
+  },
+
+  queueJobById: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName, id: jobId },
+    },
+    responses: {
+      200: jobDetails,
+      404: 'Queue or job not found',
+    },
+  },
+
+  retryQueueJob: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName, id: jobId },
+    },
+    responses: {
+      200: jobRetried,
+      404: 'Queue or job not found',
+      409: 'The job has not failed',
+    },
+  },
+
+  searchJobs: {
+    query: jobSearchQuery,
+    responses: {
+      200: jobSearchResult,
+    },
+  },
+
+  metrics: {
+    responses: {
+      200: content('text/plain', 'Prometheus text format'),
+    },
+  },
+
+  analytics: {
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        granularity: { type: 'string', enum: ['minute', 'hour', 'day'], default: 'hour' },
+        from: { type: 'string', format: 'date-time' },
+        to: { type: 'string', format: 'date-time' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        campaign: { type: 'string', pattern: '^campaign-[0-9a-f-]{36}$' },
+        domain: { type: 'string', pattern: '^[a-zA-Z0-9.-]{1,253}$' },
+      },
+    },
+    responses: {
+      200: object({
+        granularity: { type: 'string' },
+        from: dateTime,
+        to: dateTime,
+        retainedFrom: { ...dateTime, description: 'Older buckets have expired' },
+        filter: { type: 'object' },
+        totals: analyticsCounts,
+        series: list({ ...analyticsCounts, properties: { time: dateTime, ...analyticsCounts.properties } }),
+        breakdown: {
+          type: 'object',
+          description: 'Totals by name, campaign and domain (no filter) or by domain (campaign filter)',
+          additionalProperties: { type: 'object', additionalProperties: analyticsCounts },
+        },
+      }),
+    },
+  },
+
+  listAlerts: {
+    responses: {
+      200: object({
+        enabled: { type: 'boolean' },
+        intervalMs: { type: 'integer' },
+        channels: list({ type: 'string' }),
+        rules: list({ type: 'object' }),
+        active: list(object({
+          rule: { type: 'string' },
+          queue: { type: 'string' },
+          severity: { type: 'string' },
+          summary: { type: 'string' },
+          since: dateTime,
+        }, { additionalProperties: true })),
+      }),
+    },
+  },
+
+  searchQueueJobs: {
+    params: {
+      type: 'object',
+      properties: { queue: queueName },
+    },
+    query: jobSearchQuery,
+    responses: {
+      200: jobSearchResult,
+      404: 'Queue not found',
+    },
+  },
+
+  addSuppression: {
+    body: {
+      type: 'object',
+      required: ['email'],
+      additionalProperties: false,
+      properties: {
+        email,
+        reason: { type: 'string', enum: suppressionReasons, default: 'manual' },
+        note: { type: 'string', maxLength: 1000 },
+      },
+    },
+    responses: {
+      201: suppression,
+    },
+  },
+
+  listSuppressions: {
+    query: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        reason: { type: 'string', enum: suppressionReasons },
+        limit: { type: 'integer', minimum: 1, maximum: 1000, default: 100 },
+        offset: { type: 'integer', minimum: 0, default: 0 },
+      },
+    },
+    responses: {
+      200: object({ total: { type: 'integer' }, suppressions: list(suppression) }),
+    },
+  },
+
+  suppressionByEmail: {
+    params: {
+      type: 'object',
+      properties: { email },
+    },
+    responses: {
+      200: suppression,
+      404: 'The address is not suppressed',
+    },
+  },
+
+  removeSuppression: {
+    params: {
+      type: 'object',
+      properties: { email },
+    },
+    responses: {
+      204: null,
+      404: 'The address is not suppressed',
+    },
+  },
+};
+
+module.exports = schemas;
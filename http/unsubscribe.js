@@ -0,0 +1,90 @@
+/**
+ * Unsubscribe Links
+ *
+ *   GET  /unsubscribe/:token  the link in the email: a confirmation page
+ *                             whose button POSTs back to the same URL
+ *   POST /unsubscribe/:token  unsubscribes; answers the page's form with
+ *                             HTML and one-click requests from mail clients
+ *                             (RFC 8058, see the List-Unsubscribe-Post header)
+ *                             with JSON
+ *
+ * GET changes nothing: link scanners and previews fetch every URL in an
+ * email, and must not unsubscribe the recipient by doing so.
+ *
+ * Both are open without an API key; the signed token (see
+ * suppressions/unsubscribe.js) is the proof. Unsubscribing twice is fine,
+ * and an address already suppressed for another reason keeps that entry.
+ */
+
+const { addSuppression, getSuppression, SuppressionError } = require('../suppressions');
+const { verifyUnsubscribeToken } = require('../suppressions/unsubscribe');
+const { escapeHtml } = require('../templates');
+
+const page = (title, body) => `<!DOCTYPE html>
+<html>
+  <head><meta charset="utf-8"><title>${title}</title></head>
+  <body style="font-family:sans-serif;max-width:32em;margin:4em auto">
+    <h1>${title}</h1>
+    ${body}
+  </body>
+</html>
+`;
+
+const invalidLinkPage = page('Invalid link', '<p>This unsubscribe link is not valid. Please use the link from the most recent email.</p>');
+
+/**
+ * Suppress the token's address
+ *
+ * @returns {string} The address (throws INVALID_UNSUBSCRIBE_TOKEN)
+ */
+const unsubscribe = async (token) => {
+  const address = verifyUnsubscribeToken(token);
+  if (!address) {
+    throw new SuppressionError('This unsubscribe link is not valid', 'INVALID_UNSUBSCRIBE_TOKEN');
+  }
+
+  if (!(await getSuppression(address))) {
+    await addSuppression(address, { reason: 'unsubscribed', source: 'unsubscribe-link' });
+  }
+  return address;
+};
+
+/**
+ * GET /unsubscribe/:token
+ */
+const unsubscribePageHandler = async (req, res) => {
+  const address = verifyUnsubscribeToken(req.params.token);
+  if (!address) {
+    return res.status(400).type('html').send(invalidLinkPage);
+  }
+
+  // No action: the form posts back to this URL
+  res.type('html').send(page('Unsubscribe', `<p>Stop sending email to ${escapeHtml(address)}?</p>
+    <form method="post"><button type="submit">Unsubscribe</button></form>`));
+};
+
+/**
+ * POST /unsubscribe/:token
+ */
+const oneClickUnsubscribeHandler = async (req, res) => {
+  // Mail clients send no Accept header (or */*), browsers ask for HTML
+  if (req.accepts(['json', 'html']) !== 'html') {
+    const address = await unsubscribe(req.params.token);
+    return res.json({ unsubscribed: true, email: address });
+  }
+
+  let address;
+  try {
+    address = await unsubscribe(req.params.token);
+  } catch (error) {
+    if (!(error instanceof SuppressionError)) throw error;
+    return res.status(400).type('html').send(invalidLinkPage);
+  }
+
+  res.type('html').send(page('You have been unsubscribed', `<p>We won't send any more email to ${escapeHtml(address)}.</p>`));
+};
+
+module.exports = {
+  unsubscribePageHandler,
+  oneClickUnsubscribeHandler
+};
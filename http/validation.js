@@ -0,0 +1,271 @@
+/**
+ * Request Validation
+ *
+ * Request schemas are plain JSON Schema objects (the subset below), so the
+ * same declarations can be reused for API documentation. Supported keywords:
+ *
+ *   type, enum, properties, required, additionalProperties, items,
+ *   minItems, maxItems, minLength, maxLength, pattern, minimum, maximum,
+ *   oneOf, format, default
+ *
+ * Formats:
+ *   email      a single address; the value becomes the bare, lower-cased address
+ *   cron       a 5 or 6 field cron expression
+ *   date-time  an ISO 8601 timestamp
+ *   time-zone  an IANA time zone name such as "Europe/Berlin"
+ *   uri        an absolute http(s) URL
+ *
+ * Extension keywords (prefixed with x- so they stay valid in OpenAPI):
+ *   x-future       date-time must be in the future
+ *   x-max-future   date-time must be at most this many milliseconds ahead
+ *
+ * Query and path parameters arrive as strings and are coerced to the
+ * declared type before validation.
+ */
+
+const cronParser = require('cron-parser');
+const { parseEmailAddress } = require('../utils/emailAddress');
+const { ApiError } = require('./errors');
+
+const ISO_DATE_TIME = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})$/;
+
+/**
+ * Format checkers: return the (possibly normalized) value or throw
+ */
+const formats = {
+  email: (value) => parseEmailAddress(value).address,
+
+  cron: (value) => {
+    const fields = value.trim().split(/\s+/);
+    if (fields.length < 5 || fields.length > 6) {
+      throw new Error('must be a cron expression with 5 or 6 fields');
+    }
+    try {
+      cronParser.parseExpression(value);
+    } catch (error) {
+      throw new Error(`is not a valid cron expression (${error.message})`);
+    }
+    return value.trim();
+  },
+
+  'date-time': (value) => {
+    if (!ISO_DATE_TIME.test(value) || Number.isNaN(Date.parse(value))) {
+      throw new Error('must be an ISO 8601 date-time, e.g. 2025-07-10T14:00:00.000Z');
+    }
+    return value;
+  },
+
+  'time-zone': (value) => {
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: value });
+    } catch (error) {
+      throw new Error('must be an IANA time zone such as "Europe/Berlin"');
+    }
+    return value;
+  },
+
+  uri: (value) => {
+    let url;
+    try {
+      url = new URL(value);
+    } catch (error) {
+      throw new Error('must be an absolute URL');
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('must be an http or https URL');
+    }
+    return url.href;
+  },
+};
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+};
+
+/**
+ * Turn a string from the URL into the declared scalar type, if possible
+ */
+const coerce = (value, schema) => {
+  if (typeof value !== 'string') return value;
+  if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  if (schema.type === 'boolean' && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  if (schema.type === 'array') {
+    return value === '' ? [] : value.split(',');
+  }
+  return value;
+};
+
+/**
+ * Validate a value against a schema
+ *
+ * @param {*} value - Value to check
+ * @param {object} schema - JSON Schema subset
+ * @param {string} field - Path used in error messages (e.g. "body.to")
+ * @param {Array} errors - Collects { field, message }
+ * @param {boolean} coerceStrings - Coerce string input (query/params)
+ * @returns {*} The normalized value
+ */
+const check = (value, schema, field, errors, coerceStrings) => {
+  if (coerceStrings) value = coerce(value, schema);
+
+  if (schema.oneOf) {
+    for (const option of schema.oneOf) {
+      const optionErrors = [];
+      const result = check(value, option, field, optionErrors, coerceStrings);
+      if (optionErrors.length === 0) return result;
+    }
+    errors.push({ field, message: schema.description ? `must be ${schema.description}` : 'does not match any allowed form' });
+    return value;
+  }
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push({ field, message: `must be of type ${schema.type}` });
+    return value;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of: ${schema.enum.join(', ')}` });
+    return value;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ field, message: `must be at least ${schema.minLength} characters long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ field, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ field, message: `must match ${schema.pattern}` });
+    }
+    if (schema.format) {
+      try {
+        value = formats[schema.format](value);
+      } catch (error) {
+        errors.push({ field, message: error.message });
+        return value;
+      }
+    }
+    if (schema.format === 'date-time') {
+      const ahead = Date.parse(value) - Date.now();
+      if (schema['x-future'] && ahead <= 0) {
+        errors.push({ field, message: 'must be in the future' });
+      }
+      if (schema['x-max-future'] !== undefined && ahead > schema['x-max-future']) {
+        errors.push({ field, message: `must be at most ${Math.round(schema['x-max-future'] / 86400000)} days in the future` });
+      }
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ field, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ field, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ field, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ field, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value = value.map((item, index) => check(item, schema.items, `${field}[${index}]`, errors, coerceStrings));
+    }
+  }
+
+  if (typeOf(value) === 'object' && (schema.properties || schema.required || schema.additionalProperties !== undefined)) {
+    const properties = schema.properties || {};
+    const result = { ...value };
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push({ field: `${field}.${name}`, message: 'is required' });
+      }
+    }
+
+    for (const [name, propertySchema] of Object.entries(properties)) {
+      if (value[name] === undefined) {
+        if (propertySchema.default !== undefined) result[name] = propertySchema.default;
+        continue;
+      }
+      result[name] = check(value[name], propertySchema, `${field}.${name}`, errors, coerceStrings);
+    }
+
+    if (schema.additionalProperties === false) {
+      for (const name of Object.keys(value)) {
+        if (!Object.hasOwn(properties, name)) {
+          errors.push({ field: `${field}.${name}`, message: 'is not allowed' });
+        }
+      }
+    }
+
+    return result;
+  }
+
+  return value;
+};
+
+/**
+ * Validate a value, throwing ApiError 400 with every problem found
+ */
+const validateValue = (value, schema, field, coerceStrings = false) => {
+  const errors = [];
+  const result = check(value, schema, field, errors, coerceStrings);
+  if (errors.length > 0) {
+    throw ApiError.validation(errors);
+  }
+  return result;
+};
+
+/**
+ * Express middleware validating params, query and body
+ *
+ * On success the normalized values replace req.params, req.query and
+ * req.body (defaults filled in, addresses normalized, strings coerced).
+ *
+ * @param {object} schemas - { params, query, body } JSON Schemas
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+  const results = {};
+
+  for (const part of ['params', 'query', 'body']) {
+    if (!schemas[part]) continue;
+    const input = req[part] === undefined ? {} : req[part];
+    results[part] = check(input, schemas[part], part, errors, part !== 'body');
+  }
+
+  if (errors.length > 0) {
+    return next(ApiError.validation(errors));
+  }
+
+  if (results.params) req.params = results.params;
+  if (results.body) req.body = results.body;
+  // req.query is a getter in Express 5, so shadow it on this request
+  if (results.query) Object.defineProperty(req, 'query', { value: results.query, writable: true });
+
+  next();
+};
+
+module.exports = {
+  validate,
+  validateValue,
+  formats,
+};
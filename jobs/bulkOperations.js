@@ -0,0 +1,213 @@
+/**
+ * Bulk Job Operations
+ *
+ * Act on every job in a queue that matches a filter:
+ *
+ *   {
+ *     "action": "retry",                     // retry | remove | promote | changePriority
+ *     "filter": {
+ *       "states": ["failed"],                // default depends on the action
+ *       "names": ["sendEmail"],
+ *       "data": { "to": "user@example.com", "meta.tenant": "acme" },
+ *       "createdAfter": "…", "createdBefore": "…",
+ *       "failedAfter": "…", "failedBefore": "…"
+ *     },
+ *     "priority": 1                          // changePriority only
+ *   }
+ *
+ * `data` matches top-level or dotted fields of the job payload; an array
+ * field matches if it contains the value. A dry run only counts the
+ * matching jobs. A real run is a job on maintenanceQueue (processed by
+ * workers/bulkProcessor.js) whose progress and result describe the
+ * operation, so it can be followed like any other job.
+ *
+ * Jobs are matched when the operation starts; a job that has changed state
+ * by the time it is reached is reported as failed, not acted on.
+ */
+
+const maintenanceQueue = require('../queues/maintenanceQueue');
+const { logger } = require('../logger');
+
+const SCAN_PAGE = 500;
+const SAMPLE_SIZE = 20;
+
+const JOB_NAME = 'bulkOperation';
+
+// Which states each action applies to, and the states used when the filter names none
+const ACTIONS = {
+  retry: { states: ['failed', 'completed'], defaultStates: ['failed'] },
+  remove: { states: ['waiting', 'prioritized', 'delayed', 'completed', 'failed', 'waiting-children'], defaultStates: ['failed'] },
+  promote: { states: ['delayed'], defaultStates: ['delayed'] },
+  changePriority: { states: ['waiting', 'prioritized', 'delayed'], defaultStates: ['waiting', 'prioritized', 'delayed'] },
+};
+
+/**
+ * Raised for unknown operations and filters an action can't use
+ *
+ * code: OPERATION_NOT_FOUND | INVALID_OPERATION (details: [{ field, message }])
+ */
+class BulkOperationError extends Error {
+  constructor(message, code, details = []) {
+    super(message);
+    this.name = 'BulkOperationError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Reject state/action combinations and a missing priority
+ *
+ * @returns {Array} The states to scan
+ */
+const checkSpec = ({ action, filter = {}, priority }) => {
+  const { states, defaultStates } = ACTIONS[action];
+  const details = [];
+
+  (filter.states || []).forEach((state, index) => {
+    if (!states.includes(state)) {
+      details.push({ field: `body.filter.states[${index}]`, message: `${action} applies to ${states.join(', ')} jobs only` });
+    }
+  });
+  if (action === 'changePriority' && priority === undefined) {
+    details.push({ field: 'body.priority', message: 'is required for changePriority' });
+  }
+  if (details.length > 0) {
+    throw new BulkOperationError('Invalid bulk operation', 'INVALID_OPERATION', details);
+  }
+
+  return filter.states || defaultStates;
+};
+
+const fieldValue = (data, path) =>
+  path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), data);
+
+const within = (ms, after, before) =>
+  Boolean(ms) && (after === undefined || ms >= Date.parse(after)) && (before === undefined || ms < Date.parse(before));
+
+/**
+ * Whether a job (found in `state`) passes the filter
+ */
+const matchesFilter = (job, state, { names, data, createdAfter, createdBefore, failedAfter, failedBefore }) => {
+  if (names && names.length && !names.includes(job.name)) return false;
+
+  if (data) {
+    const fieldsMatch = Object.entries(data).every(([path, expected]) => {
+      const actual = fieldValue(job.data, path);
+      return Array.isArray(actual) ? actual.includes(expected) : actual === expected;
+    });
+    if (!fieldsMatch) return false;
+  }
+
+  if ((createdAfter || createdBefore) && !within(job.timestamp, createdAfter, createdBefore)) return false;
+  if ((failedAfter || failedBefore) && (state !== 'failed' || !within(job.finishedOn, failedAfter, failedBefore))) return false;
+
+  return true;
+};
+
+/**
+ * Every job in `queue` matching the operation's filter
+ *
+ * @returns {Array} [{ id, state }]
+ */
+const findMatchingJobs = async (queue, spec) => {
+  const states = checkSpec(spec);
+  const filter = spec.filter || {};
+  const matched = new Map();
+
+  for (const state of states) {
+    // 'waiting' also covers jobs held by a paused queue
+    const counts = await queue.getJobCounts(state);
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    for (let start = 0; start < total; start += SCAN_PAGE) {
+      const page = await queue.getJobs([state], start, start + SCAN_PAGE - 1);
+      page
+        .filter(job => job && !matched.has(job.id) && matchesFilter(job, state, filter))
+        .forEach(job => matched.set(job.id, { id: job.id, state }));
+    }
+  }
+
+  return [...matched.values()];
+};
+
+/**
+ * Count what an operation would touch, without changing anything
+ *
+ * @returns {object} { dryRun, queue, action, matched, byState, sample }
+ */
+const previewBulkOperation = async (queue, spec) => {
+  const targets = await findMatchingJobs(queue, spec);
+  const byState = {};
+  targets.forEach(({ state }) => { byState[state] = (byState[state] || 0) + 1; });
+
+  return {
+    dryRun: true,
+    queue: queue.name,
+    action: spec.action,
+    matched: targets.length,
+    byState,
+    sample: targets.slice(0, SAMPLE_SIZE).map(target => target.id)
+  };
+};
+
+/**
+ * Public view of an operation job
+ */
+const describe = (job, state) => ({
+  id: job.id,
+  queue: job.data.queue,
+  action: job.data.action,
+  filter: job.data.filter,
+  priority: job.data.priority,
+  state,
+  progress: job.progress || null,
+  result: job.returnvalue || null,
+  failedReason: job.failedReason || null,
+  createdAt: new Date(job.timestamp).toISOString(),
+  finishedAt: job.finishedOn ? new Date(job.finishedOn).toISOString() : null
+});
+
+/**
+ * Queue an operation for the maintenance worker
+ *
+ * @param {Queue} queue - Queue whose jobs are acted on
+ * @param {object} spec - { action, filter, priority }
+ * @param {object} options - { requestId } of the HTTP request (see logger.js)
+ * @returns {object} The operation, as returned by getBulkOperation
+ */
+const startBulkOperation = async (queue, { action, filter = {}, priority }, { requestId } = {}) => {
+  checkSpec({ action, filter, priority });
+
+  const job = await maintenanceQueue.add(JOB_NAME, {
+    queue: queue.name,
+    action,
+    filter,
+    priority,
+    requestId,
+  });
+
+  logger.info(`🧰 Bulk ${action} on ${queue.name} queued as operation ${job.id}`, { operationId: job.id, requestId });
+
+  return describe(job, 'waiting');
+};
+
+/**
+ * An operation's state, progress and (once finished) result
+ * (throws OPERATION_NOT_FOUND)
+ */
+const getBulkOperation = async (id) => {
+  const job = await maintenanceQueue.getJob(id);
+  if (!job || job.name !== JOB_NAME) {
+    throw new BulkOperationError(`Bulk operation ${id} not found`, 'OPERATION_NOT_FOUND');
+  }
+  return describe(job, await job.getState());
+};
+
+module.exports = {
+  BulkOperationError,
+  findMatchingJobs,
+  previewBulkOperation,
+  startBulkOperation,
+  getBulkOperation
+};
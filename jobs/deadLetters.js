@@ -0,0 +1,312 @@
+/**
+ * Dead Letters
+ *
+ * When a job in a queue declared with `deadLetter: true` fails for the last
+ * time, a copy of it is added to deadLetterQueue before removeOnFail can
+ * trim it. The copy keeps everything needed to understand and re-run it:
+ *
+ *   {
+ *     "queue": "emailQueue", "jobId": "42", "name": "sendEmail",
+ *     "data": { … },                      // original payload (editable)
+ *     "opts": { "attempts": 3, … },       // original job options
+ *     "failedReason": "SMTP timeout", "attemptsMade": 3,
+ *     "attempts": [{ "attempt": 1, "error", "stack", "failedAt" }, …],
+ *     "createdAt", "processedAt", "failedAt", "deadLetteredAt", "editedAt"
+ *   }
+ *
+ * BullMQ only keeps the stack traces of earlier attempts, so the worker
+ * writes each failed attempt to a short-lived list in Redis and the list is
+ * folded into the entry at the end.
+ *
+ * Replaying adds the job back to its own queue, with its original name,
+ * options and (possibly edited) payload, and removes the entry. Jobs that
+ * were steps of a campaign flow are replayed on their own.
+ */
+
+const crypto = require('crypto');
+const deadLetterQueue = require('../queues/deadLetterQueue');
+const { getQueue } = require('../queues/registry');
+const { isFinalFailure } = require('../webhooks');
+const { redisInstance, redisKey } = require('../redis');
+const { logger } = require('../logger');
+
+const ATTEMPTS_TTL = 7 * 24 * 60 * 60; // seconds
+const SCAN_PAGE = 500;
+
+// Options that only made sense for the original run
+const NOT_REPLAYED_OPTIONS = ['jobId', 'repeat', 'repeatJobKey', 'parent', 'delay', 'prevMillis', 'timestamp', 'deduplication'];
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+const attemptsKey = (queueName, jobId) => redisKey('deadLetters', 'attempts', queueName, jobId);
+
+/**
+ * Raised for unknown entries, entries that can't be replayed and empty
+ * bulk selections
+ *
+ * code: DEAD_LETTER_NOT_FOUND | NOT_REPLAYABLE | INVALID_SELECTION
+ */
+class DeadLetterError extends Error {
+  constructor(message, code, details = []) {
+    super(message);
+    this.name = 'DeadLetterError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Recording failures (called by the workers)
+
+/**
+ * Copy a permanently failed job to the dead letter queue
+ */
+const deadLetter = async (queueName, job) => {
+  const key = attemptsKey(queueName, job.id);
+  const attempts = (await redisInstance.lrange(key, 0, -1)).map(raw => JSON.parse(raw));
+  const failedAt = job.finishedOn || Date.now();
+
+  // Same failure reported twice = same entry
+  const id = `dlq-${sha256([queueName, job.id, failedAt].join('\n')).slice(0, 32)}`;
+
+  await deadLetterQueue.add(job.name, {
+    queue: queueName,
+    jobId: job.id,
+    name: job.name,
+    data: job.data,
+    opts: job.opts,
+    failedReason: job.failedReason,
+    attemptsMade: job.attemptsMade,
+    attempts,
+    createdAt: toIso(job.timestamp),
+    processedAt: toIso(job.processedOn),
+    failedAt: toIso(failedAt),
+    deadLetteredAt: new Date().toISOString(),
+    editedAt: null
+  }, { jobId: id });
+  await redisInstance.del(key);
+
+  logger.info(`🪦 Job ${job.id} from ${queueName} moved to the dead letter queue as ${id}`);
+};
+
+/**
+ * Record one failed attempt, and dead-letter the job if it was the last
+ *
+ * @param {string} queueName - Queue the job ran in
+ * @param {Job} job - The job, as passed to the worker's 'failed' event
+ * @param {Error} error - The error it failed with
+ */
+const recordFailure = async (queueName, job, error) => {
+  const key = attemptsKey(queueName, job.id);
+  const attempt = {
+    attempt: job.attemptsMade,
+    error: error.message,
+    stack: error.stack || null,
+    failedAt: new Date().toISOString()
+  };
+
+  await redisInstance
+    .multi()
+    .rpush(key, JSON.stringify(attempt))
+    .expire(key, ATTEMPTS_TTL)
+    .exec();
+
+  if (isFinalFailure(job, error)) {
+    await deadLetter(queueName, job);
+  }
+};
+
+/**
+ * Drop the attempt history of a job that succeeded after retries
+ */
+const forgetAttempts = (queueName, job) => redisInstance.del(attemptsKey(queueName, job.id));
+
+// Reading entries
+
+const summary = (entry) => ({
+  id: entry.id,
+  queue: entry.data.queue,
+  jobId: entry.data.jobId,
+  name: entry.name,
+  failedReason: entry.data.failedReason,
+  attemptsMade: entry.data.attemptsMade,
+  failedAt: entry.data.failedAt,
+  deadLetteredAt: entry.data.deadLetteredAt,
+  editedAt: entry.data.editedAt
+});
+
+const matches = ({ queue, name, before }) => (entry) =>
+  (queue === undefined || entry.data.queue === queue) &&
+  (name === undefined || entry.name === name) &&
+  (before === undefined || Date.parse(entry.data.deadLetteredAt) < Date.parse(before));
+
+/**
+ * Entries matching the filters, newest first
+ */
+const findEntries = async (filters, { offset = 0, limit = Infinity } = {}) => {
+  const test = matches(filters);
+  const total = await deadLetterQueue.getWaitingCount();
+  const found = [];
+
+  for (let start = 0; start < total && found.length < offset + limit; start += SCAN_PAGE) {
+    const page = await deadLetterQueue.getWaiting(start, start + SCAN_PAGE - 1);
+    found.push(...page.filter(entry => entry && test(entry)));
+  }
+
+  return found.slice(offset, offset + limit);
+};
+
+const readEntry = async (id) => {
+  const entry = await deadLetterQueue.getJob(id);
+  if (!entry) {
+    throw new DeadLetterError(`Dead letter ${id} not found`, 'DEAD_LETTER_NOT_FOUND');
+  }
+  return entry;
+};
+
+/**
+ * List entries, newest first
+ *
+ * @param {object} filters - { queue, name, limit, offset }
+ * @returns {object} { total, entries } (total counts every entry)
+ */
+const listDeadLetters = async ({ queue, name, limit = 50, offset = 0 } = {}) => {
+  const [total, entries] = await Promise.all([
+    deadLetterQueue.getWaitingCount(),
+    findEntries({ queue, name }, { offset, limit })
+  ]);
+
+  return { total, entries: entries.map(summary) };
+};
+
+/**
+ * One entry with its payload, options and attempt history
+ * (throws DEAD_LETTER_NOT_FOUND)
+ */
+const getDeadLetter = async (id) => {
+  const entry = await readEntry(id);
+  return { id: entry.id, ...entry.data };
+};
+
+/**
+ * Replace the payload the job will be replayed with
+ */
+const updateDeadLetterPayload = async (id, data) => {
+  const entry = await readEntry(id);
+
+  await entry.updateData({ ...entry.data, data, editedAt: new Date().toISOString() });
+  logger.info(`✏️  Dead letter ${id} payload edited`);
+
+  return { id: entry.id, ...entry.data };
+};
+
+// Replaying and purging
+
+const replay = async (entry) => {
+  const { queue: queueName, name, data, opts } = entry.data;
+  const queue = getQueue(queueName);
+
+  if (!queue) {
+    throw new DeadLetterError(`Queue "${queueName}" no longer exists`, 'NOT_REPLAYABLE');
+  }
+
+  const replayOpts = { ...opts };
+  NOT_REPLAYED_OPTIONS.forEach(option => delete replayOpts[option]);
+
+  // Derived from the entry, so replaying twice never adds two jobs
+  const job = await queue.add(name, data, { ...replayOpts, jobId: entry.id.replace(/^dlq-/, 'replay-') });
+  await entry.remove();
+
+  logger.info(`🔁 Dead letter ${entry.id} replayed to ${queueName} as job ${job.id}`);
+
+  return { id: entry.id, queue: queueName, jobId: job.id };
+};
+
+/**
+ * Entries chosen by a bulk request: { ids } or filters, or { all: true }
+ *
+ * @returns {object} { entries, missing } (missing: unknown ids)
+ */
+const select = async ({ ids, queue, name, before, all }) => {
+  if (!ids && queue === undefined && name === undefined && before === undefined && !all) {
+    throw new DeadLetterError('Nothing selected', 'INVALID_SELECTION', [
+      { field: 'body', message: 'must contain ids, a filter (queue, name, before) or "all": true' }
+    ]);
+  }
+
+  if (!ids) {
+    return { entries: await findEntries({ queue, name, before }), missing: [] };
+  }
+
+  const found = await Promise.all(ids.map(id => deadLetterQueue.getJob(id)));
+  return {
+    entries: found.filter(entry => entry && matches({ queue, name, before })(entry)),
+    missing: ids.filter((id, index) => !found[index])
+  };
+};
+
+/**
+ * Replay one entry (throws DEAD_LETTER_NOT_FOUND or NOT_REPLAYABLE)
+ */
+const replayDeadLetter = async (id) => replay(await readEntry(id));
+
+/**
+ * Replay several entries; entries that can't be replayed are reported,
+ * not fatal
+ *
+ * @param {object} selection - { ids } and/or { queue, name, before }, or { all: true }
+ * @returns {object} { replayed: [{ id, queue, jobId }], skipped: [{ id, reason }] }
+ */
+const replayDeadLetters = async (selection) => {
+  const { entries, missing } = await select(selection);
+  const replayed = [];
+  const skipped = missing.map(id => ({ id, reason: 'not found' }));
+
+  for (const entry of entries) {
+    try {
+      replayed.push(await replay(entry));
+    } catch (error) {
+      skipped.push({ id: entry.id, reason: error.message });
+    }
+  }
+
+  return { replayed, skipped };
+};
+
+/**
+ * Delete one entry (throws DEAD_LETTER_NOT_FOUND)
+ */
+const purgeDeadLetter = async (id) => {
+  const entry = await readEntry(id);
+  await entry.remove();
+  logger.info(`🗑️  Dead letter ${id} purged`);
+};
+
+/**
+ * Delete several entries
+ *
+ * @param {object} selection - Same as replayDeadLetters
+ * @returns {object} { purged, skipped: [{ id, reason }] }
+ */
+const purgeDeadLetters = async (selection) => {
+  const { entries, missing } = await select(selection);
+
+  for (const entry of entries) {
+    await entry.remove();
+  }
+  logger.info(`🗑️  Purged ${entries.length} dead letter(s)`);
+
+  return { purged: entries.length, skipped: missing.map(id => ({ id, reason: 'not found' })) };
+};
+
+module.exports = {
+  DeadLetterError,
+  recordFailure,
+  forgetAttempts,
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetterPayload,
+  replayDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetter,
+  purgeDeadLetters
+};
@@ -1,21 +1,39 @@
 const emailQueue = require('../queues/emailQueue');
+const { assertNotSuppressed } = require('../suppressions');
+const { indexJob } = require('./jobSearch');
+const { logger } = require('../logger');
 
 /**
  * Creates and adds an email job to the queue
  * 
  * @param {string} to - Email recipient
  * @param {number} delay - Delay in milliseconds before processing (default: 0)
- * @param {object} repeat - Repeat configuration for recurring jobs
+ * @param {object} options - { jobId } to use a deterministic job ID;
+ *                           adding a job with an existing ID is a no-op.
+ *                           { callbackUrl } gets a webhook when the job
+ *                           completes or finally fails.
+ *                           { tenantId } counts it against that tenant's
+ *                           rate limit (see jobs/rateLimits.js)
+ *                           { requestId } ties the worker's log lines for
+ *                           the job to the HTTP request (see logger.js)
  * 
  * Job Options Explained:
  * - delay: How long to wait before processing (useful for scheduling)
  * - attempts: How many times to retry if the job fails
  * - backoff: Strategy for waiting between retries
  * - priority: Higher numbers get processed first
- * - repeat: For recurring jobs (cron syntax)
+ * 
+ * Recurring emails are job schedulers, see jobs/schedules.js.
+ * 
+ * Throws SuppressionError (RECIPIENT_SUPPRESSED) for suppressed recipients.
  */
-const addEmailJob = async (to, delay = 0, repeat = null) => {
+const addEmailJob = async (to, delay = 0, { jobId, callbackUrl, tenantId, requestId } = {}) => {
+  await assertNotSuppressed(to);
+
   const jobOptions = {
+    // Optional custom ID (e.g. derived from an Idempotency-Key)
+    jobId,
+    
     // Wait before processing (milliseconds)
     delay, 
     
@@ -31,9 +49,6 @@ const addEmailJob = async (to, delay = 0, repeat = null) => {
     // Job priority (higher = more important)
     priority: 1,
     
-    // For recurring jobs: { cron: '*/5 * * * *' }
-    repeat,
-    
     // Optional: Remove completed jobs after 10 successful completions
     removeOnComplete: 10,
     
@@ -42,14 +57,12 @@ const addEmailJob = async (to, delay = 0, repeat = null) => {
   };
 
   // Add the job to the queue
-  const job = await emailQueue.add('sendEmail', { to }, jobOptions);
+  const job = await emailQueue.add('sendEmail', { to, callbackUrl, tenantId, requestId }, jobOptions);
+  await indexJob(job);
   
-  console.log(`📨 Email job added: ${job.id} for ${to}`);
+  logger.info(`📨 Email job added: ${job.id} for ${to}`, { jobId: job.id, requestId });
   if (delay > 0) {
-    console.log(`⏰ Job will be processed in ${delay/1000} seconds`);
-  }
-  if (repeat) {
-    console.log(`🔄 Recurring job scheduled with cron: ${repeat.cron}`);
+    logger.info(`⏰ Job will be processed in ${delay/1000} seconds`, { jobId: job.id, requestId });
   }
   
   return job;
@@ -58,25 +71,31 @@ const addEmailJob = async (to, delay = 0, repeat = null) => {
 /**
  * Add a high-priority urgent email job
  */
-const addUrgentEmailJob = async (to) => {
-  return await emailQueue.add('sendEmail', { to, urgent: true }, {
+const addUrgentEmailJob = async (to, { jobId, tenantId, requestId } = {}) => {
+  await assertNotSuppressed(to);
+
+  const job = await emailQueue.add('sendEmail', { to, urgent: true, tenantId, requestId }, {
+    jobId,
     priority: 10, // High priority
     attempts: 5,  // More retry attempts for important emails
     delay: 0      // Process immediately
   });
+  await indexJob(job);
+
+  return job;
 };
 
 /**
  * Schedule an email for a specific time
  */
-const scheduleEmailAt = async (to, scheduleTime) => {
+const scheduleEmailAt = async (to, scheduleTime, { jobId, tenantId, requestId } = {}) => {
   const delay = new Date(scheduleTime) - new Date();
   
   if (delay <= 0) {
     throw new Error('Schedule time must be in the future');
   }
   
-  return await addEmailJob(to, delay);
+  return await addEmailJob(to, delay, { jobId, tenantId, requestId });
 };
 
 module.exports = { 
@@ -0,0 +1,251 @@
+/**
+ * Job Search
+ *
+ * Finds jobs by state, name, recipient, campaign and time, newest first,
+ * a page at a time. BullMQ only keeps jobs per state, so lookups by anything
+ * else go through secondary indexes kept next to the queue, one sorted set
+ * per key, scored by the job's creation time:
+ *
+ *   <prefix>:jobindex:<queue>:all                 every indexed job
+ *   <prefix>:jobindex:<queue>:name:<job name>
+ *   <prefix>:jobindex:<queue>:recipient:<address> data.to, data.batch[],
+ *                                                 data.recipients[]
+ *   <prefix>:jobindex:<queue>:campaign:<name>     data.campaignName (lower-cased)
+ *
+ * Jobs are indexed when the helpers add them (jobs/emailJob.js,
+ * examples/advanced-examples.js) and again when a worker picks them up,
+ * which covers schedules, replays and anything added elsewhere. Entries are
+ * kept for INDEX_RETENTION_MS; entries of jobs that were removed since
+ * (removeOnComplete, cleanup, ...) are dropped when a search runs into them.
+ *
+ * A search reads the most selective index for its filters (recipient, then
+ * campaign, then a single job name, else all) and checks the remaining
+ * filters on each job. It stops after SCAN_LIMIT index entries, so a page
+ * can hold fewer jobs than asked for; keep following nextCursor until it
+ * is null.
+ */
+
+const { redisInstance, redisKey } = require('../redis');
+const { normalizeEmailAddress } = require('../utils/emailAddress');
+
+const INDEX_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+const SCAN_LIMIT = 1000;
+const CHUNK_SIZE = 50;
+
+const indexKey = (queueName, ...parts) => redisKey('jobindex', queueName, ...parts);
+
+/**
+ * Raised for cursors that weren't returned by a search
+ *
+ * code: INVALID_CURSOR
+ */
+class JobSearchError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'JobSearchError';
+    this.code = code;
+  }
+}
+
+/**
+ * Every recipient address in a job's data (normalized)
+ */
+const recipientsOf = (data = {}) => {
+  const entries = [
+    data.to,
+    ...(Array.isArray(data.batch) ? data.batch : []),
+    ...(Array.isArray(data.recipients) ? data.recipients : [])
+  ];
+  const addresses = entries
+    .map(entry => (entry && typeof entry === 'object' ? entry.email : entry))
+    .filter(entry => typeof entry === 'string' && entry !== '')
+    .map(normalizeEmailAddress);
+  return [...new Set(addresses)];
+};
+
+/**
+ * Add jobs to the indexes (adding a job again is harmless)
+ *
+ * @param {Array<Job>} jobs - Jobs of any queue
+ */
+const indexJobs = async (jobs) => {
+  const pipeline = redisInstance.pipeline();
+  const keys = new Set();
+  const add = (key, job) => {
+    pipeline.zadd(key, job.timestamp, job.id);
+    keys.add(key);
+  };
+
+  jobs.forEach((job) => {
+    add(indexKey(job.queueName, 'all'), job);
+    add(indexKey(job.queueName, 'name', job.name), job);
+    recipientsOf(job.data).forEach(address => add(indexKey(job.queueName, 'recipient', address), job));
+    if (job.data && job.data.campaignName) {
+      add(indexKey(job.queueName, 'campaign', String(job.data.campaignName).toLowerCase()), job);
+    }
+  });
+
+  // Old entries age out, and so do keys nobody writes to any more
+  const cutoff = Date.now() - INDEX_RETENTION_MS;
+  keys.forEach((key) => {
+    pipeline.zremrangebyscore(key, '-inf', cutoff);
+    pipeline.pexpire(key, INDEX_RETENTION_MS);
+  });
+
+  if (keys.size > 0) {
+    await pipeline.exec();
+  }
+};
+
+/**
+ * Add one job to the indexes
+ */
+const indexJob = (job) => indexJobs([job]);
+
+const encodeCursor = (score, id) => Buffer.from(JSON.stringify([score, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [score, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+    if (Number.isFinite(score) && typeof id === 'string') return { score, id };
+  } catch (error) {
+    // Reported below
+  }
+  throw new JobSearchError('cursor is not one returned by a previous search', 'INVALID_CURSOR');
+};
+
+/**
+ * The index a search reads, and the filters it answers by itself
+ */
+const chooseIndex = (queueName, { recipient, campaign, names }) => {
+  if (recipient) return { key: indexKey(queueName, 'recipient', normalizeEmailAddress(recipient)), covers: ['recipient'] };
+  if (campaign) return { key: indexKey(queueName, 'campaign', campaign.toLowerCase()), covers: ['campaign'] };
+  if (names && names.length === 1) return { key: indexKey(queueName, 'name', names[0]), covers: ['names'] };
+  return { key: indexKey(queueName, 'all'), covers: [] };
+};
+
+/**
+ * Whether a job matches the filters its index doesn't answer
+ */
+const matches = (job, state, filters, covers) => {
+  const { states, names, recipient, campaign, finishedAfter, finishedBefore } = filters;
+
+  if (states && states.length && !states.includes(state)) return false;
+  if (!covers.includes('names') && names && names.length && !names.includes(job.name)) return false;
+  if (!covers.includes('recipient') && recipient && !recipientsOf(job.data).includes(normalizeEmailAddress(recipient))) return false;
+  if (!covers.includes('campaign') && campaign &&
+    String(job.data.campaignName || '').toLowerCase() !== campaign.toLowerCase()) return false;
+  if (finishedAfter && !(job.finishedOn >= Date.parse(finishedAfter))) return false;
+  if (finishedBefore && !(job.finishedOn < Date.parse(finishedBefore))) return false;
+  return true;
+};
+
+const isoOrNull = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+/**
+ * What a search returns for each job
+ */
+const summarizeJob = (job, state) => {
+  const recipients = recipientsOf(job.data);
+  return {
+    id: job.id,
+    queue: job.queueName,
+    name: job.name,
+    state,
+    recipient: recipients[0] || null,
+    recipientCount: recipients.length,
+    campaignName: job.data.campaignName || null,
+    tenantId: job.data.tenantId || null,
+    requestId: job.data.requestId || null,
+    progress: job.progress,
+    attempts: job.attemptsMade,
+    createdAt: isoOrNull(job.timestamp),
+    processedOn: isoOrNull(job.processedOn),
+    finishedOn: isoOrNull(job.finishedOn),
+    failedReason: job.failedReason || null,
+    details: `/queues/${job.queueName}/jobs/${job.id}`
+  };
+};
+
+/**
+ * Search a queue's jobs, newest first
+ *
+ * @param {Queue} queue - The queue
+ * @param {object} filters - { states, names, recipient, campaign, createdAfter,
+ *   createdBefore, finishedAfter, finishedBefore, limit (default 20), cursor }
+ * @returns {object} { jobs: [summary], nextCursor (null on the last page), scanned }
+ */
+const searchJobs = async (queue, filters = {}) => {
+  const { createdAfter, createdBefore, limit = 20, cursor } = filters;
+  const { key, covers } = chooseIndex(queue.name, filters);
+
+  // The index score is the creation time, so that filter is a range read
+  // (createdAfter inclusive, createdBefore exclusive)
+  const position = cursor ? decodeCursor(cursor) : null;
+  const before = createdBefore ? Date.parse(createdBefore) : Infinity;
+  const max = position && position.score < before ? position.score : before === Infinity ? '+inf' : `(${before}`;
+  const min = createdAfter ? Date.parse(createdAfter) : '-inf';
+
+  const jobs = [];
+  const stale = [];
+  let scanned = 0;
+  let offset = 0;
+  let last = null;
+  let exhausted = false;
+
+  while (jobs.length < limit && scanned < SCAN_LIMIT) {
+    const entries = await redisInstance.zrevrangebyscore(key, max, min, 'WITHSCORES', 'LIMIT', offset, CHUNK_SIZE);
+    offset += entries.length / 2;
+
+    const chunk = [];
+    for (let i = 0; i < entries.length; i += 2) {
+      const id = entries[i];
+      const score = Number(entries[i + 1]);
+      // Members with the cursor's score come in descending ID order; skip
+      // the ones the previous page already had
+      if (position && score === position.score && id >= position.id) continue;
+      chunk.push({ id, score });
+    }
+
+    const loaded = await Promise.all(chunk.map(async ({ id }) => {
+      const job = await queue.getJob(id);
+      return job ? { job, state: await job.getState() } : null;
+    }));
+
+    let consumed = 0;
+    for (; consumed < chunk.length && jobs.length < limit; consumed++) {
+      const { job, state } = loaded[consumed] || {};
+      last = chunk[consumed];
+      if (!job) {
+        stale.push(last.id);
+      } else if (matches(job, state, filters, covers)) {
+        jobs.push(summarizeJob(job, state));
+      }
+    }
+    scanned += consumed;
+
+    // A short read means the index has nothing older in range
+    if (entries.length < CHUNK_SIZE * 2) {
+      exhausted = consumed === chunk.length;
+      break;
+    }
+  }
+
+  if (stale.length > 0) {
+    await redisInstance.zrem(key, ...stale);
+  }
+
+  return {
+    jobs,
+    nextCursor: exhausted || !last ? null : encodeCursor(last.score, last.id),
+    scanned
+  };
+};
+
+module.exports = {
+  JobSearchError,
+  indexJob,
+  indexJobs,
+  searchJobs,
+  summarizeJob
+};
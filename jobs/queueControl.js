@@ -0,0 +1,178 @@
+/**
+ * Queue Control
+ *
+ * Operator actions on a whole queue:
+ *
+ *   pause / resume   "global": the queue itself, so no worker in any process
+ *                    picks up new jobs (active ones finish); "local": only the
+ *                    worker running in this process
+ *   drain            remove every waiting and prioritized job, and by default
+ *                    the delayed ones too (active and finished jobs stay)
+ *   obliterate       delete the queue and everything in it, including its
+ *                    schedules. Two steps: the first call returns a
+ *                    confirmation token, valid for a minute, which the second
+ *                    call has to send back
+ *
+ * Every action answers with the queue's state afterwards (see queueState).
+ */
+
+const crypto = require('crypto');
+const { getWorker } = require('../queues/registry');
+const { redisInstance, redisKey } = require('../redis');
+const { logger } = require('../logger');
+
+const CONFIRMATION_TTL_MS = 60 * 1000;
+
+const confirmationKey = (queueName) => redisKey('obliterate', queueName);
+
+/**
+ * Raised for local actions in a process without a worker, wrong or expired
+ * obliteration tokens and queues that can't be obliterated yet
+ *
+ * code: NO_LOCAL_WORKER | INVALID_CONFIRMATION | QUEUE_BUSY
+ */
+class QueueControlError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'QueueControlError';
+    this.code = code;
+  }
+}
+
+/**
+ * Whether the queue is paused, the state of this process's worker and the
+ * job counts
+ *
+ * @returns {object} { queue, paused, localWorker: { running, paused } | null, counts }
+ */
+const queueState = async (queue) => {
+  const worker = getWorker(queue.name);
+  const [paused, counts] = await Promise.all([queue.isPaused(), queue.getJobCounts()]);
+
+  return {
+    queue: queue.name,
+    paused,
+    localWorker: worker ? { running: worker.isRunning(), paused: worker.isPaused() } : null,
+    counts
+  };
+};
+
+const localWorker = (queue) => {
+  const worker = getWorker(queue.name);
+  if (!worker) {
+    throw new QueueControlError(`No ${queue.name} worker runs in this process`, 'NO_LOCAL_WORKER');
+  }
+  return worker;
+};
+
+/**
+ * Stop picking up jobs
+ *
+ * @param {Queue} queue - The queue
+ * @param {object} options - { scope: 'global' | 'local' }
+ */
+const pauseQueue = async (queue, { scope = 'global' } = {}) => {
+  if (scope === 'local') {
+    // Don't wait for active jobs; they finish on their own
+    await localWorker(queue).pause(true);
+  } else {
+    await queue.pause();
+  }
+  logger.info(`⏸️  ${queue.name} paused (${scope})`);
+
+  return queueState(queue);
+};
+
+/**
+ * Pick up jobs again
+ *
+ * @param {Queue} queue - The queue
+ * @param {object} options - { scope: 'global' | 'local' }
+ */
+const resumeQueue = async (queue, { scope = 'global' } = {}) => {
+  if (scope === 'local') {
+    localWorker(queue).resume();
+  } else {
+    await queue.resume();
+  }
+  logger.info(`▶️  ${queue.name} resumed (${scope})`);
+
+  return queueState(queue);
+};
+
+/**
+ * Remove the jobs that haven't started yet
+ *
+ * @param {Queue} queue - The queue
+ * @param {object} options - { delayed: also remove delayed jobs (default true) }
+ * @returns {object} The queue state, plus { removed }
+ */
+const drainQueue = async (queue, { delayed = true } = {}) => {
+  const states = ['waiting', 'prioritized', ...(delayed ? ['delayed'] : [])];
+  const count = async () => Object.values(await queue.getJobCounts(...states)).reduce((sum, n) => sum + n, 0);
+
+  const before = await count();
+  await queue.drain(delayed);
+  const removed = Math.max(0, before - await count());
+  logger.info(`🚿 ${queue.name} drained: ${removed} job(s) removed`);
+
+  return { ...(await queueState(queue)), removed };
+};
+
+/**
+ * First step of an obliteration: a single-use token for this queue
+ *
+ * @returns {object} The queue state, plus { confirmationToken, expiresAt }
+ */
+const requestObliteration = async (queue) => {
+  const token = crypto.randomBytes(16).toString('hex');
+  await redisInstance.set(confirmationKey(queue.name), token, 'PX', CONFIRMATION_TTL_MS);
+
+  return {
+    ...(await queueState(queue)),
+    confirmationToken: token,
+    expiresAt: new Date(Date.now() + CONFIRMATION_TTL_MS).toISOString()
+  };
+};
+
+/**
+ * Second step: delete the queue (throws INVALID_CONFIRMATION or QUEUE_BUSY)
+ *
+ * @param {Queue} queue - The queue
+ * @param {object} options - { confirmationToken, force: also with active jobs }
+ */
+const obliterateQueue = async (queue, { confirmationToken, force = false }) => {
+  const key = confirmationKey(queue.name);
+  const expected = await redisInstance.get(key);
+
+  const matches = expected !== null &&
+    expected.length === confirmationToken.length &&
+    crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(confirmationToken));
+  if (!matches) {
+    throw new QueueControlError('Confirmation token is wrong or expired; request a new one', 'INVALID_CONFIRMATION');
+  }
+  await redisInstance.del(key);
+
+  try {
+    await queue.obliterate({ force });
+  } catch (error) {
+    if (/active jobs/.test(error.message)) {
+      // obliterate() pauses the queue before checking, so it stays paused
+      throw new QueueControlError(`${queue.name} has active jobs (it is now paused); wait for them or use force`, 'QUEUE_BUSY');
+    }
+    throw error;
+  }
+  logger.info(`💣 ${queue.name} obliterated`);
+
+  return queueState(queue);
+};
+
+module.exports = {
+  QueueControlError,
+  queueState,
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
+  requestObliteration,
+  obliterateQueue
+};
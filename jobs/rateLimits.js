@@ -0,0 +1,165 @@
+/**
+ * Per-Domain and Per-Tenant Rate Limits
+ *
+ * On top of the worker's global limiter (WORKER_LIMITER_MAX per
+ * WORKER_LIMITER_DURATION_MS), every send takes one unit from two budgets:
+ *
+ *   domain   the recipient's domain, e.g. gmail.com (RATE_LIMIT_DOMAINS,
+ *            else RATE_LIMIT_DOMAIN_DEFAULT)
+ *   tenant   the job's tenantId, if it has one (RATE_LIMIT_TENANTS, else
+ *            RATE_LIMIT_TENANT_DEFAULT)
+ *
+ * A key without a configured budget is unlimited. Budgets are fixed
+ * windows, counted in Redis so they hold across every worker process:
+ *
+ *   <prefix>:ratelimit:<domain|tenant>:<key>  sends in the current window
+ *   <prefix>:ratelimit:keys                   sorted set of the counters in
+ *                                             use, scored by window end
+ *
+ * When a budget is used up, the handlers move the job back to delayed until
+ * the window ends (see workers/delivery.js) rather than failing it.
+ */
+
+const { config } = require('../config');
+const { redisInstance, redisKey } = require('../redis');
+const { parseEmailAddress } = require('../utils/emailAddress');
+
+const KINDS = ['domain', 'tenant'];
+const INDEX_KEY = redisKey('ratelimit', 'keys');
+
+const counterKey = (kind, key) => redisKey('ratelimit', kind, key);
+
+// KEYS: index, counter... ARGV: now, then max, durationMs, member per counter.
+// Takes one unit from every counter, or from none if any of them is used up;
+// returns 0, or how long until the fullest one resets.
+const RESERVE_SCRIPT = `
+local now = tonumber(ARGV[1])
+local wait = 0
+for i = 2, #KEYS do
+  local max = tonumber(ARGV[(i - 2) * 3 + 2])
+  if tonumber(redis.call('GET', KEYS[i]) or '0') >= max then
+    local ttl = redis.call('PTTL', KEYS[i])
+    if ttl < 0 then ttl = tonumber(ARGV[(i - 2) * 3 + 3]) end
+    if ttl > wait then wait = ttl end
+  end
+end
+if wait > 0 then return wait end
+for i = 2, #KEYS do
+  local durationMs = tonumber(ARGV[(i - 2) * 3 + 3])
+  if redis.call('INCR', KEYS[i]) == 1 then
+    redis.call('PEXPIRE', KEYS[i], durationMs)
+    redis.call('ZADD', KEYS[1], now + durationMs, ARGV[(i - 2) * 3 + 4])
+  end
+end
+return 0
+`;
+
+/**
+ * The budget of one key, or undefined if it is unlimited
+ *
+ * @param {string} kind - domain | tenant
+ * @param {string} key - The domain or tenant ID
+ * @returns {object|undefined} { max, durationMs }
+ */
+const limitFor = (kind, key) => {
+  const { domains, tenants, domainDefault, tenantDefault } = config.rateLimits;
+  const [limits, fallback] = kind === 'domain' ? [domains, domainDefault] : [tenants, tenantDefault];
+  // Own keys only: a tenant called "constructor" has no budget of its own
+  return Object.hasOwn(limits, key) ? limits[key] : fallback;
+};
+
+const domainOf = (to) => {
+  try {
+    return parseEmailAddress(to).domain;
+  } catch (error) {
+    // The transport rejects it; there is no domain to count it against
+    return null;
+  }
+};
+
+/**
+ * Take one send from the budgets of a recipient's domain and the tenant
+ *
+ * @param {object} send - { to, tenantId }
+ * @returns {number} 0 if the email may go now (the send is counted),
+ *   otherwise how many ms until it may (nothing is counted)
+ */
+const reserveSend = async ({ to, tenantId }) => {
+  const counters = [['domain', domainOf(to)], ['tenant', tenantId]]
+    .filter(([kind, key]) => key && limitFor(kind, key))
+    .map(([kind, key]) => ({ kind, key, ...limitFor(kind, key) }));
+
+  if (counters.length === 0) return 0;
+
+  const args = counters.flatMap(({ kind, key, max, durationMs }) => [max, durationMs, `${kind}:${key}`]);
+  return Number(await redisInstance.eval(
+    RESERVE_SCRIPT,
+    counters.length + 1,
+    INDEX_KEY,
+    ...counters.map(({ kind, key }) => counterKey(kind, key)),
+    Date.now(),
+    ...args
+  ));
+};
+
+/**
+ * Current usage of every configured key and every key with sends in its
+ * current window
+ *
+ * @returns {object} { domains: { <domain>: usage }, tenants: { <tenantId>: usage },
+ *   domainDefault, tenantDefault }, where usage is
+ *   { max, durationMs, used, remaining, resetsInMs }
+ */
+const rateLimitUsage = async () => {
+  await redisInstance.zremrangebyscore(INDEX_KEY, '-inf', Date.now());
+  const active = await redisInstance.zrange(INDEX_KEY, 0, -1);
+
+  // Configured keys show up even before their first send
+  const members = new Set([
+    ...Object.keys(config.rateLimits.domains).map(key => `domain:${key}`),
+    ...Object.keys(config.rateLimits.tenants).map(key => `tenant:${key}`),
+    ...active
+  ]);
+  const counters = [...members]
+    .map((member) => {
+      const separator = member.indexOf(':');
+      const kind = member.slice(0, separator);
+      const key = member.slice(separator + 1);
+      return { kind, key, limit: KINDS.includes(kind) ? limitFor(kind, key) : undefined };
+    })
+    // Keys whose budget was removed from the config since
+    .filter(counter => counter.limit);
+
+  const pipeline = redisInstance.pipeline();
+  counters.forEach(({ kind, key }) => pipeline.get(counterKey(kind, key)).pttl(counterKey(kind, key)));
+  const replies = counters.length > 0 ? await pipeline.exec() : [];
+
+  const usage = counters.map(({ kind, key, limit }, index) => {
+    const [[getError, used], [ttlError, ttl]] = replies.slice(index * 2, index * 2 + 2);
+    if (getError || ttlError) throw getError || ttlError;
+
+    const count = Number(used) || 0;
+    return [kind, key, {
+      ...limit,
+      used: count,
+      remaining: Math.max(0, limit.max - count),
+      resetsInMs: ttl > 0 ? ttl : null
+    }];
+  });
+  // fromEntries defines own properties, whatever the key is called
+  const usageOf = kind => Object.fromEntries(usage
+    .filter(([counterKind]) => counterKind === kind)
+    .map(([, key, value]) => [key, value]));
+
+  return {
+    domains: usageOf('domain'),
+    tenants: usageOf('tenant'),
+    domainDefault: config.rateLimits.domainDefault || null,
+    tenantDefault: config.rateLimits.tenantDefault || null
+  };
+};
+
+module.exports = {
+  reserveSend,
+  rateLimitUsage
+};
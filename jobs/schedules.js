@@ -0,0 +1,265 @@
+/**
+ * Recurring Email Schedules
+ *
+ * A schedule sends an email on a cron pattern until it is paused, deleted,
+ * reaches its end date or has run `maxRuns` times. Each schedule is a
+ * BullMQ job scheduler on the email queue (queue.upsertJobScheduler), plus
+ * a record in Redis holding what BullMQ doesn't keep: the label, the start
+ * date, the paused flag and the run count.
+ *
+ * BullMQ has no "paused" state for a job scheduler, so pausing removes the
+ * scheduler and resuming creates it again from the record. Run counts are
+ * folded into the record before that, so maxRuns keeps counting across
+ * pauses and updates.
+ */
+
+const crypto = require('crypto');
+const emailQueue = require('../queues/emailQueue');
+const { redisInstance, redisKey } = require('../redis');
+const { logger } = require('../logger');
+
+const JOB_NAME = 'sendEmail';
+const STORE_KEY = redisKey('schedules');
+
+/**
+ * Raised for unknown schedules and invalid schedule settings
+ *
+ * code: SCHEDULE_NOT_FOUND | INVALID_SCHEDULE (details: [{ field, message }])
+ */
+class ScheduleError extends Error {
+  constructor(message, code, details = []) {
+    super(message);
+    this.name = 'ScheduleError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const readRecord = async (id) => {
+  const raw = await redisInstance.hget(STORE_KEY, id);
+  if (!raw) {
+    throw new ScheduleError(`Schedule ${id} not found`, 'SCHEDULE_NOT_FOUND');
+  }
+  return JSON.parse(raw);
+};
+
+const writeRecord = (record) => redisInstance.hset(STORE_KEY, record.id, JSON.stringify(record));
+
+/**
+ * Reject windows that can never produce a run
+ */
+const checkWindow = ({ startDate, endDate }) => {
+  if (endDate && Date.parse(endDate) <= Date.now()) {
+    throw new ScheduleError('Invalid schedule', 'INVALID_SCHEDULE', [{ field: 'endDate', message: 'must be in the future' }]);
+  }
+  if (startDate && endDate && Date.parse(startDate) >= Date.parse(endDate)) {
+    throw new ScheduleError('Invalid schedule', 'INVALID_SCHEDULE', [{ field: 'endDate', message: 'must be after startDate' }]);
+  }
+};
+
+/**
+ * Add the jobs already started by the live scheduler to record.runs
+ *
+ * BullMQ's iteration count starts at 1 for the first (not yet run) job and
+ * restarts whenever the scheduler is recreated.
+ */
+const settleRuns = async (record) => {
+  const scheduler = await emailQueue.getJobScheduler(record.id);
+  if (scheduler && scheduler.iterationCount) {
+    record.runs += scheduler.iterationCount - 1;
+  }
+};
+
+/**
+ * Create or replace the BullMQ job scheduler for a record
+ */
+const upsertScheduler = (record) => emailQueue.upsertJobScheduler(
+  record.id,
+  {
+    pattern: record.cron,
+    tz: record.timezone || undefined,
+    startDate: record.startDate || undefined,
+    endDate: record.endDate || undefined,
+    limit: record.maxRuns || undefined,
+    count: record.runs,
+  },
+  {
+    name: JOB_NAME,
+    data: { ...record.data, scheduleId: record.id },
+  }
+);
+
+/**
+ * Public view of a schedule, with its live status and next run
+ */
+const describe = async (record) => {
+  const scheduler = record.paused ? null : await emailQueue.getJobScheduler(record.id);
+  const next = scheduler && scheduler.next ? scheduler.next : null;
+  const runs = record.runs + (scheduler && scheduler.iterationCount ? scheduler.iterationCount - 1 : 0);
+
+  let status = 'active';
+  if (record.paused) status = 'paused';
+  else if (!next || (record.maxRuns && runs >= record.maxRuns)) status = 'finished';
+
+  return {
+    id: record.id,
+    name: record.name,
+    status,
+    cron: record.cron,
+    timezone: record.timezone,
+    startDate: record.startDate,
+    endDate: record.endDate,
+    maxRuns: record.maxRuns,
+    runs,
+    nextRun: status === 'active' ? new Date(next).toISOString() : null,
+    data: record.data,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt
+  };
+};
+
+/**
+ * Create a recurring email schedule
+ *
+ * @param {object} spec
+ * @param {string} spec.to - Recipient
+ * @param {string} spec.cron - Cron pattern (5 or 6 fields)
+ * @param {string} [spec.subject] / [spec.text] / [spec.html] - Email content
+ * @param {string} [spec.name] - Label shown in listings
+ * @param {string} [spec.timezone] - IANA time zone the pattern is evaluated in
+ * @param {string} [spec.startDate] / [spec.endDate] - ISO 8601 run window
+ * @param {number} [spec.maxRuns] - Stop after this many emails
+ * @param {string} [spec.tenantId] - Tenant whose rate limit the emails count against
+ * @param {string} [spec.id] - Deterministic ID (e.g. from an Idempotency-Key)
+ */
+const createSchedule = async ({ id, name, to, subject, text, html, tenantId, cron, timezone, startDate, endDate, maxRuns }) => {
+  const now = new Date().toISOString();
+  const record = {
+    id: id || `schedule-${crypto.randomUUID()}`,
+    name: name || `Email to ${to}`,
+    cron,
+    timezone: timezone || null,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    maxRuns: maxRuns || null,
+    data: { to, subject, text, html, tenantId },
+    paused: false,
+    runs: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+
+  checkWindow(record);
+
+  await writeRecord(record);
+  await upsertScheduler(record);
+
+  logger.info(`🔄 Schedule ${record.id} created: "${record.cron}"${record.timezone ? ` (${record.timezone})` : ''} for ${to}`);
+
+  return describe(record);
+};
+
+/**
+ * List every schedule, oldest first
+ */
+const listSchedules = async () => {
+  const records = Object.values(await redisInstance.hgetall(STORE_KEY)).map(raw => JSON.parse(raw));
+  records.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return Promise.all(records.map(describe));
+};
+
+/**
+ * Get one schedule (throws SCHEDULE_NOT_FOUND)
+ */
+const getSchedule = async (id) => describe(await readRecord(id));
+
+/**
+ * Change a schedule's pattern, window, limit or email content
+ *
+ * @param {string} id - Schedule ID
+ * @param {object} changes - Any of the createSchedule fields except id
+ */
+const updateSchedule = async (id, changes) => {
+  const record = await readRecord(id);
+  const { to, subject, text, html, tenantId, ...settings } = changes;
+
+  Object.assign(record, settings, {
+    data: {
+      ...record.data,
+      ...(to !== undefined && { to }),
+      ...(subject !== undefined && { subject }),
+      ...(text !== undefined && { text }),
+      ...(html !== undefined && { html }),
+      ...(tenantId !== undefined && { tenantId }),
+    },
+    updatedAt: new Date().toISOString()
+  });
+
+  checkWindow(record);
+
+  if (!record.paused) {
+    await settleRuns(record);
+    await upsertScheduler(record);
+  }
+  await writeRecord(record);
+
+  logger.info(`✏️  Schedule ${id} updated`);
+
+  return describe(record);
+};
+
+/**
+ * Stop a schedule from producing jobs until it is resumed
+ */
+const pauseSchedule = async (id) => {
+  const record = await readRecord(id);
+
+  if (!record.paused) {
+    await settleRuns(record);
+    await emailQueue.removeJobScheduler(id);
+    record.paused = true;
+    record.updatedAt = new Date().toISOString();
+    await writeRecord(record);
+    logger.info(`⏸️  Schedule ${id} paused`);
+  }
+
+  return describe(record);
+};
+
+/**
+ * Start a paused schedule again (runs missed while paused are skipped)
+ */
+const resumeSchedule = async (id) => {
+  const record = await readRecord(id);
+
+  if (record.paused) {
+    record.paused = false;
+    record.updatedAt = new Date().toISOString();
+    await upsertScheduler(record);
+    await writeRecord(record);
+    logger.info(`▶️  Schedule ${id} resumed`);
+  }
+
+  return describe(record);
+};
+
+/**
+ * Delete a schedule (jobs it already produced are left alone)
+ */
+const deleteSchedule = async (id) => {
+  await readRecord(id);
+  await emailQueue.removeJobScheduler(id);
+  await redisInstance.hdel(STORE_KEY, id);
+  logger.info(`🗑️  Schedule ${id} deleted`);
+};
+
+module.exports = {
+  ScheduleError,
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule
+};
@@ -0,0 +1,148 @@
+/**
+ * Logging
+ *
+ * One logger for the API and the workers, with levels (LOG_LEVEL) and two
+ * output formats (LOG_FORMAT):
+ *
+ *   pretty  the message, then its fields:
+ *           ✅ Job 42 completed (queue=emailQueue jobId=42 requestId=9f1c...)
+ *   json    one object per line, for log collectors:
+ *           {"time":"...","level":"info","msg":"✅ Job 42 completed","queue":"emailQueue",...}
+ *
+ * Child loggers add fields to every line they write: each HTTP request has
+ * one with its requestId (req.log, see http/requestId.js), and jobLogger()
+ * gives one per job with its queue, ID, name and the requestId of the
+ * request that added it. Email addresses in messages and fields are
+ * redacted as LOG_REDACT_RECIPIENTS says.
+ */
+
+const { config } = require('./config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const EMAIL_ADDRESS = /[A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+/g;
+
+const redactAddress = (address) => {
+  if (config.logging.redactRecipients === 'full') return '[redacted]';
+  const at = address.lastIndexOf('@');
+  return `${address[0]}***${address.slice(at)}`;
+};
+
+const MAX_DEPTH = 5;
+
+const redactString = value => (config.logging.redactRecipients === 'none'
+  ? value
+  : value.replace(EMAIL_ADDRESS, redactAddress));
+
+/**
+ * A value with the email addresses in it redacted, in object keys too (job
+ * results map recipients to outcomes), and errors turned into plain objects.
+ * Anything nested deeper than MAX_DEPTH is replaced by '[truncated]'.
+ */
+const redact = (value, depth = 0) => {
+  if (typeof value === 'string') {
+    return redactString(value);
+  }
+  if (value instanceof Error) {
+    return redact({ message: value.message, ...(value.code ? { code: value.code } : {}), stack: value.stack }, depth);
+  }
+  if (value && typeof value === 'object' && depth >= MAX_DEPTH) {
+    return '[truncated]';
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => redact(item, depth + 1));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [redactString(key), redact(item, depth + 1)]));
+  }
+  return value;
+};
+
+const stringify = (value) => {
+  try {
+    return JSON.stringify(value);
+  } catch (error) {
+    return String(value);
+  }
+};
+
+// key=value pairs for the pretty format (an error shows its message; the
+// stack goes on its own lines)
+const formatFields = (fields) => Object.entries(fields)
+  .filter(([, value]) => value !== undefined)
+  .map(([key, value]) => [key, key === 'error' && value && value.stack ? value.message : value])
+  .map(([key, value]) => `${key}=${typeof value === 'string' && !/\s/.test(value) ? value : stringify(value)}`)
+  .join(' ');
+
+const write = (level, bindings, msg, fields = {}) => {
+  if (LEVELS[level] < LEVELS[config.logging.level]) return;
+
+  const message = redact(String(msg));
+  const entry = redact({ ...bindings, ...fields });
+
+  if (config.logging.format === 'json') {
+    process.stdout.write(`${stringify({ time: new Date().toISOString(), level, msg: message, ...entry })}\n`);
+    return;
+  }
+
+  const details = formatFields(entry);
+  const stack = entry.error && entry.error.stack && level === 'error' ? `\n${entry.error.stack}` : '';
+  const print = level === 'error' ? console.error : level === 'warn' ? console.warn : console.log;
+  print(`${message}${details ? ` (${details})` : ''}${stack}`);
+};
+
+/**
+ * A logger that adds `bindings` to every line
+ *
+ * @param {object} bindings - Fields for every line, e.g. { requestId }
+ * @returns {object} { debug, info, warn, error, child }, each (msg, fields) => void
+ */
+const createLogger = (bindings = {}) => ({
+  bindings,
+  debug: (msg, fields) => write('debug', bindings, msg, fields),
+  info: (msg, fields) => write('info', bindings, msg, fields),
+  warn: (msg, fields) => write('warn', bindings, msg, fields),
+  error: (msg, fields) => write('error', bindings, msg, fields),
+  child: (more) => createLogger({ ...bindings, ...more }),
+});
+
+const logger = createLogger();
+
+/**
+ * Logger for one job
+ *
+ * Lines carry the job's queue, ID and name and, for jobs added by an HTTP
+ * request, its requestId. step() also appends the line to the job's own
+ * log (job.log(), shown in Bull Board); use it for the steps worth seeing
+ * there.
+ *
+ * @param {Job} job - The job being processed
+ * @returns {object} A logger, plus step(msg, fields) => Promise
+ */
+const jobLogger = (job) => {
+  const log = logger.child(Object.fromEntries(Object.entries({
+    queue: job.queueName,
+    jobId: job.id,
+    jobName: job.name,
+    requestId: job.data && job.data.requestId,
+  }).filter(([, value]) => value !== undefined)));
+
+  const step = async (msg, fields = {}) => {
+    log.info(msg, fields);
+    const details = formatFields(redact(fields));
+    try {
+      await job.log(`${new Date().toISOString()} ${redact(String(msg))}${details ? ` (${details})` : ''}`);
+    } catch (error) {
+      log.warn('⚠️  Failed to write the job log', { error: error.message });
+    }
+  };
+
+  return { ...log, step };
+};
+
+module.exports = {
+  logger,
+  createLogger,
+  jobLogger,
+  redact,
+};
@@ -0,0 +1,280 @@
+/**
+ * Prometheus Metrics
+ *
+ * Every process exposes what it can see itself:
+ *
+ *   - workers (embedded in the API or `node cli.js work`): jobs completed,
+ *     failed and retried per job name, wait and processing time
+ *     histograms, concurrency in use and rate limiter hits
+ *   - the API process: job counts per queue and state, read from Redis at
+ *     scrape time (GET /metrics)
+ *   - both: the state of the shared Redis client, plus Node.js process
+ *     metrics
+ *
+ * Standalone workers serve their metrics on METRICS_PORT, so scrape the
+ * API and every worker process; the `instance` label tells them apart.
+ */
+
+const http = require('http');
+const client = require('prom-client');
+const { redisInstance } = require('../redis');
+const { listDefinitions } = require('../queues/registry');
+const { isFinalFailure } = require('../webhooks');
+const { onShutdown } = require('../shutdown');
+const { logger } = require('../logger');
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+// Queue counts come from Redis; don't let a Redis outage hang the scrape
+const COLLECT_TIMEOUT_MS = 3000;
+
+// Seconds; covers quick sends up to hour-long batches
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 300, 900, 3600];
+
+// Worker metrics
+
+const completedJobs = new client.Counter({
+  name: 'bullmq_jobs_completed_total',
+  help: 'Jobs completed successfully',
+  labelNames: ['queue', 'name'],
+  registers: [register],
+});
+
+const failedJobs = new client.Counter({
+  name: 'bullmq_jobs_failed_total',
+  help: 'Jobs failed for good (no attempts left, or unrecoverable)',
+  labelNames: ['queue', 'name'],
+  registers: [register],
+});
+
+const retriedJobs = new client.Counter({
+  name: 'bullmq_jobs_retried_total',
+  help: 'Failed attempts that will be retried',
+  labelNames: ['queue', 'name'],
+  registers: [register],
+});
+
+const waitTime = new client.Histogram({
+  name: 'bullmq_job_wait_seconds',
+  help: 'Time from adding a job to its last processing attempt (processedOn - timestamp)',
+  labelNames: ['queue', 'name'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const processingTime = new client.Histogram({
+  name: 'bullmq_job_processing_seconds',
+  help: 'Duration of a job\'s last processing attempt (finishedOn - processedOn)',
+  labelNames: ['queue', 'name'],
+  buckets: DURATION_BUCKETS,
+  registers: [register],
+});
+
+const rateLimitHits = new client.Counter({
+  name: 'bullmq_rate_limit_hits_total',
+  help: 'Times a worker had to wait for the queue\'s rate limiter',
+  labelNames: ['queue'],
+  registers: [register],
+});
+
+// Queue name -> worker
+const instrumented = new Map();
+
+// Queue name -> jobs its processor is running right now
+const running = new Map();
+
+new client.Gauge({
+  name: 'bullmq_worker_concurrency',
+  help: 'Jobs a worker may process at the same time',
+  labelNames: ['queue'],
+  registers: [register],
+  collect() {
+    instrumented.forEach((worker, queue) => this.set({ queue }, worker.concurrency));
+  },
+});
+
+new client.Gauge({
+  name: 'bullmq_worker_active_jobs',
+  help: 'Jobs a worker is processing right now',
+  labelNames: ['queue'],
+  registers: [register],
+  collect() {
+    instrumented.forEach((worker, queue) => this.set({ queue }, running.get(queue) || 0));
+  },
+});
+
+// Redis client state
+
+const redisConnected = new client.Gauge({
+  name: 'bullmq_redis_connected',
+  help: '1 while the shared Redis client is ready, 0 otherwise',
+  registers: [register],
+});
+
+const redisEvents = new client.Counter({
+  name: 'bullmq_redis_connection_events_total',
+  help: 'Connection events of the shared Redis client',
+  labelNames: ['event'],
+  registers: [register],
+});
+
+redisConnected.set(redisInstance.status === 'ready' ? 1 : 0);
+
+['connect', 'ready', 'error', 'close', 'reconnecting', 'end'].forEach((event) => {
+  redisInstance.on(event, () => {
+    redisEvents.inc({ event });
+    if (event === 'ready') redisConnected.set(1);
+    if (event === 'close' || event === 'end') redisConnected.set(0);
+  });
+});
+
+// Queue metrics (API process only; every process would report the same)
+
+const queueJobs = new client.Gauge({
+  name: 'bullmq_queue_jobs',
+  help: 'Jobs per queue and state',
+  labelNames: ['queue', 'state'],
+  registers: [],
+  async collect() {
+    this.reset();
+    let timer;
+    try {
+      const counts = await Promise.race([
+        Promise.all(listDefinitions().map(async ({ name, queue }) => [name, await queue.getJobCounts()])),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error(`no answer from Redis within ${COLLECT_TIMEOUT_MS}ms`)), COLLECT_TIMEOUT_MS);
+        }),
+      ]);
+      counts.forEach(([name, byState]) => {
+        Object.entries(byState).forEach(([state, count]) => this.set({ queue: name, state }, count));
+      });
+    } catch (error) {
+      // Leave the series out rather than fail the whole scrape
+      logger.error('❌ Failed to collect queue metrics', { error: error.message });
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+});
+
+/**
+ * Add per-queue job counts to this process's metrics (the API calls this)
+ */
+const collectQueueMetrics = () => {
+  if (!register.getSingleMetric(queueJobs.name)) {
+    register.registerMetric(queueJobs);
+  }
+};
+
+/**
+ * Record job outcomes, timings and concurrency of a worker
+ *
+ * @param {Worker} worker - A started BullMQ worker
+ */
+const instrumentWorker = (worker) => {
+  const queue = worker.name;
+  instrumented.set(queue, worker);
+
+  const observeTimes = (job) => {
+    const labels = { queue, name: job.name };
+    if (job.processedOn) {
+      waitTime.observe(labels, (job.processedOn - job.timestamp) / 1000);
+    }
+    if (job.processedOn && job.finishedOn) {
+      processingTime.observe(labels, (job.finishedOn - job.processedOn) / 1000);
+    }
+  };
+
+  worker.on('completed', (job) => {
+    completedJobs.inc({ queue, name: job.name });
+    observeTimes(job);
+  });
+
+  worker.on('failed', (job, err) => {
+    if (!job) return;
+
+    if (isFinalFailure(job, err)) {
+      failedJobs.inc({ queue, name: job.name });
+      observeTimes(job);
+    } else {
+      retriedJobs.inc({ queue, name: job.name });
+    }
+  });
+};
+
+/**
+ * Count a job as running while its processor runs
+ *
+ * Jobs that move themselves back to delayed (DelayedError) emit neither
+ * 'completed' nor 'failed', so the count follows the processor call
+ * rather than the worker's events.
+ *
+ * @param {string} queue - Queue name
+ * @param {Function} run - Calls the processor
+ * @returns {Promise} What run() returns
+ */
+const trackRunningJob = async (queue, run) => {
+  running.set(queue, (running.get(queue) || 0) + 1);
+  try {
+    return await run();
+  } finally {
+    running.set(queue, running.get(queue) - 1);
+  }
+};
+
+/**
+ * Count one wait for a queue's rate limiter
+ */
+const recordRateLimitHit = (queue) => rateLimitHits.inc({ queue });
+
+/**
+ * Express handler for GET /metrics
+ */
+const metricsHandler = async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.send(await register.metrics());
+};
+
+/**
+ * Serve /metrics on its own port (standalone worker processes)
+ *
+ * @param {number} port - Port to listen on
+ * @returns {http.Server}
+ */
+const startMetricsServer = (port) => {
+  const server = http.createServer(async (req, res) => {
+    if (req.method !== 'GET' || req.url.split('?')[0] !== '/metrics') {
+      res.writeHead(404).end();
+      return;
+    }
+    try {
+      const body = await register.metrics();
+      res.writeHead(200, { 'Content-Type': register.contentType }).end(body);
+    } catch (error) {
+      res.writeHead(500).end(error.message);
+    }
+  });
+
+  server.listen(port, () => {
+    logger.info(`📈 Worker metrics: http://localhost:${port}/metrics`);
+  });
+
+  // Kept up while the workers drain, so the drain shows in the metrics
+  onShutdown('connections', 'metrics server', () => new Promise((resolve) => {
+    server.close(resolve);
+    server.closeAllConnections();
+  }));
+
+  return server;
+};
+
+module.exports = {
+  register,
+  collectQueueMetrics,
+  instrumentWorker,
+  trackRunningJob,
+  recordRateLimitHit,
+  metricsHandler,
+  startMetricsServer,
+};
@@ -0,0 +1,25 @@
+/**
+ * Dead Letter Queue Definition
+ *
+ * Holds a copy of every job that failed for good in a queue declared with
+ * `deadLetter: true` (see jobs/deadLetters.js). Entries are never
+ * processed: they wait here, untouched by removeOnFail, until an operator
+ * replays or purges them.
+ */
+
+const { defineQueue } = require('./registry');
+
+const deadLetterQueue = defineQueue({
+  name: 'deadLetterQueue',
+  description: 'Permanently failed jobs kept for inspection and replay',
+
+  defaultJobOptions: {
+    removeOnComplete: false,
+    removeOnFail: false,
+    attempts: 1,
+  },
+
+  // No worker: entries only leave when they are replayed or purged
+});
+
+module.exports = deadLetterQueue;
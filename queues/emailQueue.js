@@ -1,23 +1,22 @@
 /**
  * Email Queue Definition
  * 
- * This file creates a BullMQ queue for handling email-related jobs.
+ * This file declares the BullMQ queue for handling email-related jobs.
  * The queue acts as a buffer between job producers (API endpoints)
  * and job consumers (workers).
+ * 
+ * Everything about the queue lives in this one declaration: default job
+ * options, the processor and the worker's concurrency and rate limit
+ * (see queues/registry.js).
  */
 
-const { Queue } = require('bullmq');
-const { connection } = require('../redis');
+const { config } = require('../config');
+const { repeatStrategy } = require('../utils/repeatStrategy');
+const { defineQueue } = require('./registry');
 
-/**
- * Create the email queue
- * 
- * Queue Options:
- * - connection: Redis connection configuration
- * - defaultJobOptions: Default settings for all jobs in this queue
- */
-const emailQueue = new Queue('emailQueue', { 
-  connection,
+const emailQueue = defineQueue({
+  name: 'emailQueue',
+  description: 'Single, batch, progress-tracked and campaign emails',
   
   // Default options for all jobs added to this queue
   defaultJobOptions: {
@@ -30,18 +29,34 @@ const emailQueue = new Queue('emailQueue', {
       type: 'exponential',
       delay: 2000,
     },
-  }
-});
-
-// Event listeners for queue-level events
-emailQueue.on('error', (error) => {
-  console.error('❌ Queue error:', error);
-});
-
-emailQueue.on('waiting', (job) => {
-  console.log(`⏳ Job ${job.id} is waiting in queue`);
+  },
+  
+  // Tell callbackUrls and webhook subscribers when jobs finish
+  notifyWebhooks: true,
+  
+  // Keep permanently failed jobs for inspection and replay
+  deadLetter: true,
+  
+  // Recurring schedules honour their start date (see jobs/schedules.js)
+  settings: { repeatStrategy },
+  
+  // Worker settings come from config.js (WORKER_* environment variables)
+  worker: {
+    processor: () => require('../workers/emailProcessor'),
+    
+    // Process up to 5 jobs simultaneously (default)
+    concurrency: config.worker.concurrency,
+    
+    // Rate limiting: max 100 jobs per minute (default)
+    limiter: {
+      max: config.worker.limiterMax,
+      duration: config.worker.limiterDuration,
+    },
+    
+    // Stalled job detection
+    stalledInterval: config.worker.stalledInterval,  // Check for stalled jobs every 30s (default)
+    maxStalledCount: config.worker.maxStalledCount,  // Max times a job can be stalled
+  },
 });
 
-console.log('📬 Email queue initialized');
-
 module.exports = emailQueue;
@@ -0,0 +1,22 @@
+/**
+ * Flow Producer
+ * 
+ * A FlowProducer adds a whole tree of jobs atomically. Children are processed
+ * before their parent, and a parent can read its children's results.
+ * Email campaigns use it to chain prepare -> send -> report.
+ */
+
+const { FlowProducer } = require('bullmq');
+const { connection, prefix } = require('../redis');
+const { onShutdown } = require('../shutdown');
+const { logger } = require('../logger');
+
+const flowProducer = new FlowProducer({ connection, prefix });
+
+flowProducer.on('error', (error) => {
+  logger.error('❌ Flow producer error', { error });
+});
+
+onShutdown('connections', 'flow producer', () => flowProducer.close());
+
+module.exports = flowProducer;
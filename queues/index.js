@@ -0,0 +1,15 @@
+/**
+ * Queues
+ *
+ * Loads every queue declaration so the registry is complete. To add a
+ * background job type, create a declaration module next to emailQueue.js
+ * (see registry.js) and require it here. Workers, the dashboard and the
+ * /queues/:queue routes pick it up from the registry.
+ */
+
+require('./emailQueue');
+require('./webhookQueue');
+require('./deadLetterQueue');
+require('./maintenanceQueue');
+
+module.exports = require('./registry');
@@ -0,0 +1,34 @@
+/**
+ * Maintenance Queue Definition
+ *
+ * Long-running operator tasks, such as bulk retries and removals (see
+ * jobs/bulkOperations.js), run here as ordinary jobs so they survive API
+ * restarts and report their progress like any other job.
+ */
+
+const { defineQueue } = require('./registry');
+
+const maintenanceQueue = defineQueue({
+  name: 'maintenanceQueue',
+  description: 'Bulk job operations and other operator tasks',
+
+  defaultJobOptions: {
+    removeOnComplete: 100,
+    removeOnFail: 100,
+
+    // A partly applied operation is reported, not run again
+    attempts: 1,
+  },
+
+  // One operation at a time, so two can't fight over the same jobs. Every
+  // `node cli.js work` process runs a maintenance worker, so the limit is
+  // global (kept in Redis), not just the worker's concurrency.
+  globalConcurrency: 1,
+
+  worker: {
+    processor: () => require('../workers/bulkProcessor'),
+    concurrency: 1,
+  },
+});
+
+module.exports = maintenanceQueue;
@@ -0,0 +1,141 @@
+/**
+ * Queue Registry
+ *
+ * Every queue is declared once, with everything needed to produce to it,
+ * process it and monitor it:
+ *
+ *   defineQueue({
+ *     name: 'reportQueue',
+ *     description: 'Builds PDF reports',
+ *     defaultJobOptions: { attempts: 3 },
+ *     worker: {
+ *       processor: () => require('../workers/reportProcessor'),
+ *       concurrency: 2,
+ *       limiter: { max: 10, duration: 1000 },
+ *     },
+ *   });
+ *
+ * The registry creates the Queue. The worker entrypoint starts a Worker for
+ * each definition and records it here (see getWorker). The dashboard and the
+ * generic /queues/:queue routes pick the queue up automatically. `processor`
+ * is a function returning the processor, so worker code is only loaded in
+ * processes that run workers.
+ */
+
+const { Queue } = require('bullmq');
+const { connection, prefix } = require('../redis');
+const { onShutdown } = require('../shutdown');
+const { logger } = require('../logger');
+
+const definitions = new Map();
+const listeners = [];
+
+// Queue name -> Worker running in this process
+const workers = new Map();
+
+/**
+ * Declare a queue and create its Queue instance
+ *
+ * @param {object} definition
+ * @param {string} definition.name - Queue name (also used in URLs)
+ * @param {string} [definition.description] - Shown by GET /queues
+ * @param {object} [definition.defaultJobOptions] - Applied to every job added
+ * @param {object} [definition.settings] - BullMQ advanced settings shared by
+ *   the queue and its worker (e.g. repeatStrategy)
+ * @param {boolean} [definition.notifyWebhooks] - Send completion/failure
+ *   webhooks for this queue's jobs (see webhooks/index.js)
+ * @param {boolean} [definition.deadLetter] - Copy jobs that fail for good
+ *   to the dead letter queue (see jobs/deadLetters.js)
+ * @param {number} [definition.globalConcurrency] - Jobs that may run at
+ *   once across every worker process (worker.concurrency is per process)
+ * @param {object} [definition.worker] - { processor, concurrency, limiter,
+ *   stalledInterval, maxStalledCount }; queues without one get no worker
+ * @returns {Queue} The BullMQ queue
+ */
+const defineQueue = (definition) => {
+  const { name, defaultJobOptions = {}, settings, globalConcurrency } = definition;
+
+  if (definitions.has(name)) {
+    throw new Error(`Queue "${name}" is already defined`);
+  }
+
+  const queue = new Queue(name, {
+    connection,
+    prefix,
+    defaultJobOptions,
+    settings,
+  });
+
+  queue.on('error', (error) => {
+    logger.error(`❌ Queue ${name} error`, { error });
+  });
+
+  queue.on('waiting', (job) => {
+    logger.info(`⏳ Job ${job.id} is waiting in ${name}`);
+  });
+
+  // Stored in Redis, so it holds for the workers of every process
+  if (globalConcurrency) {
+    queue.setGlobalConcurrency(globalConcurrency).catch((error) => {
+      logger.error(`❌ Failed to set the global concurrency of ${name}`, { error });
+    });
+  }
+
+  onShutdown('connections', `${name} queue`, () => queue.close());
+
+  const entry = { ...definition, queue };
+  definitions.set(name, entry);
+  listeners.forEach(listener => listener(entry));
+
+  logger.info(`📬 Queue ${name} initialized`);
+
+  return queue;
+};
+
+/**
+ * Get a queue by name (undefined if it isn't registered)
+ */
+const getQueue = (name) => {
+  const entry = definitions.get(name);
+  return entry ? entry.queue : undefined;
+};
+
+/**
+ * Get a queue's full definition by name
+ */
+const getDefinition = (name) => definitions.get(name);
+
+/**
+ * All registered definitions
+ */
+const listDefinitions = () => [...definitions.values()];
+
+/**
+ * Record the worker this process runs for a queue
+ */
+const registerWorker = (name, worker) => {
+  workers.set(name, worker);
+};
+
+/**
+ * The worker this process runs for a queue (undefined if it runs none)
+ */
+const getWorker = (name) => workers.get(name);
+
+/**
+ * Call `listener(definition)` for every queue, now and when new ones are defined
+ */
+const onQueueDefined = (listener) => {
+  definitions.forEach(entry => listener(entry));
+  listeners.push(listener);
+};
+
+module.exports = {
+  defineQueue,
+  getQueue,
+  getDefinition,
+  listDefinitions,
+  registerWorker,
+  getWorker,
+  onQueueDefined,
+};
@@ -0,0 +1,39 @@
+/**
+ * Webhook Queue Definition
+ * 
+ * One job per webhook delivery (see webhooks/index.js). Deliveries have
+ * their own queue so slow or failing receivers never hold up email jobs,
+ * and so they can be retried with a longer backoff.
+ */
+
+const { config } = require('../config');
+const { defineQueue } = require('./registry');
+
+const webhookQueue = defineQueue({
+  name: 'webhookQueue',
+  description: 'Signed job outcome notifications to callback URLs and subscriptions',
+  
+  defaultJobOptions: {
+    removeOnComplete: 1000,
+    removeOnFail: 1000,
+    
+    // 10s, 20s, 40s, ... between attempts (about 20 minutes for 8 attempts)
+    attempts: config.webhooks.maxAttempts,
+    backoff: {
+      type: 'exponential',
+      delay: 10000,
+    },
+  },
+  
+  // Keep deliveries that gave up so they can be replayed later
+  deadLetter: true,
+  
+  worker: {
+    processor: () => require('../workers/webhookProcessor'),
+    
+    // Deliveries mostly wait on the network
+    concurrency: 10,
+  },
+});
+
+module.exports = webhookQueue;
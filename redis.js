@@ -3,57 +3,132 @@
  * 
  * BullMQ uses Redis to store job data and queue state.
  * This configuration is shared across all queues and workers.
+ * 
+ * Connection details come from config.js (REDIS_* environment variables or
+ * the config file) and support standalone, Sentinel and Cluster setups.
  */
 
-const { Redis } = require('ioredis');
+const fs = require('fs');
+const { Redis, Cluster } = require('ioredis');
+const { config } = require('./config');
+const { onShutdown } = require('./shutdown');
+const { logger } = require('./logger');
+
+const redisConfig = config.redis;
+
+// TLS settings (undefined = plain TCP)
+const tls = redisConfig.tls
+  ? {
+      rejectUnauthorized: redisConfig.tlsRejectUnauthorized,
+      ca: redisConfig.tlsCaFile ? fs.readFileSync(redisConfig.tlsCaFile) : undefined,
+    }
+  : undefined;
 
-// Basic connection configuration
-const connection = {
-  host: '127.0.0.1',
-  port: 6379,
-  db: 0,  // Redis database number (0-15)
+// Options every Redis node connection uses, whatever the mode
+const nodeOptions = {
+  username: redisConfig.username,
+  password: redisConfig.password,
+  tls,
   
-  // Connection retry settings
-  retryDelayOnFailover: 100,
+  // Required by BullMQ workers (blocking commands must not time out)
   enableReadyCheck: false,
   maxRetriesPerRequest: null,
 };
 
-// Alternative: Create a full Redis instance with more options
-const redisInstance = new Redis({
-  ...connection,
-  
-  // Retry strategy
-  retryStrategy: (times) => {
-    const delay = Math.min(times * 50, 2000);
-    console.log(`🔄 Redis connection retry attempt ${times}, delay: ${delay}ms`);
-    return delay;
-  },
-  
-  // Connection event handlers
-  lazyConnect: true,  // Don't connect until first command
+// Retry strategy shared by all modes
+const retryStrategy = (times) => {
+  const delay = Math.min(times * 50, 2000);
+  logger.info(`🔄 Redis connection retry attempt ${times}, delay: ${delay}ms`);
+  return delay;
+};
+
+/**
+ * Build a Redis Cluster client
+ * 
+ * retryDelayOnFailover is a Cluster option: it only has an effect here,
+ * not in the plain connection object used for single nodes.
+ */
+const createCluster = (options = {}) => new Cluster(redisConfig.clusterNodes, {
+  redisOptions: nodeOptions,
+  retryDelayOnFailover: 100,
+  enableReadyCheck: false,
+  ...options,
 });
 
+/**
+ * Connection settings handed to every Queue, Worker and FlowProducer
+ * 
+ * - standalone / sentinel: an options object (BullMQ opens its own clients)
+ * - cluster: a Cluster instance, since BullMQ can't build one from options
+ */
+let connection;
+switch (redisConfig.mode) {
+  case 'sentinel':
+    connection = {
+      ...nodeOptions,
+      sentinels: redisConfig.sentinels,
+      name: redisConfig.sentinelName,
+      sentinelPassword: redisConfig.sentinelPassword,
+      db: redisConfig.db,
+      enableTLSForSentinelMode: Boolean(tls),
+      sentinelTLS: tls,
+    };
+    break;
+  case 'cluster':
+    connection = createCluster();
+    break;
+  default:
+    connection = {
+      ...nodeOptions,
+      host: redisConfig.host,
+      port: redisConfig.port,
+      db: redisConfig.db,  // Redis database number (0-15)
+    };
+}
+
+// Key prefix for BullMQ ("{bull}" in cluster mode keeps a queue in one hash slot)
+const prefix = redisConfig.prefix;
+
+/**
+ * Build a key for the app's own data, next to the BullMQ keys
+ * e.g. redisKey('idempotency', 'abc') -> "bull:idempotency:abc"
+ */
+const redisKey = (...parts) => [prefix, ...parts].join(':');
+
+// A standalone client for our own commands (health checks, custom keys, ...)
+const redisInstance = redisConfig.mode === 'cluster'
+  ? createCluster({ clusterRetryStrategy: retryStrategy, lazyConnect: true })
+  : new Redis({
+      ...connection,
+      retryStrategy,
+      lazyConnect: true,  // Don't connect until first command
+    });
+
 // Redis event listeners for monitoring
 redisInstance.on('connect', () => {
-  console.log('📶 Connected to Redis');
+  logger.info('📶 Connected to Redis');
 });
 
 redisInstance.on('ready', () => {
-  console.log('✅ Redis is ready');
+  logger.info('✅ Redis is ready');
 });
 
 redisInstance.on('error', (error) => {
-  console.error('❌ Redis connection error:', error.message);
+  logger.error('❌ Redis connection error', { error: error.message });
 });
 
 redisInstance.on('close', () => {
-  console.log('🔌 Redis connection closed');
+  logger.info('🔌 Redis connection closed');
 });
 
-// Export both the basic connection config and the Redis instance
+// Closed last, after everything that uses it (see shutdown.js)
+onShutdown('redis', 'Redis client', () => redisInstance.quit());
+
+// Export the BullMQ connection settings and the Redis instance
 module.exports = { 
   connection,
+  prefix,
+  redisKey,
   redisInstance 
 };
 
@@ -61,13 +136,10 @@ module.exports = {
 const testRedisConnection = async () => {
   try {
     await redisInstance.ping();
-    console.log('🏓 Redis ping successful');
+    logger.info('🏓 Redis ping successful');
   } catch (error) {
-    console.error('💥 Redis connection test failed:', error.message);
-    console.log('💡 Make sure Redis is running:');
-    console.log('   - Ubuntu/Debian: sudo systemctl start redis');
-    console.log('   - Docker: docker run -d -p 6379:6379 redis');
-    console.log('   - macOS: brew services start redis');
+    logger.error('💥 Redis connection test failed', { error: error.message });
+    logger.info(`💡 Make sure Redis is running (mode: ${redisConfig.mode}): sudo systemctl start redis, docker run -d -p 6379:6379 redis or brew services start redis`);
   }
 };
 
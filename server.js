@@ -9,71 +9,311 @@
 
 const express = require('express');
 const { addEmailJob, addUrgentEmailJob, scheduleEmailAt } = require('./jobs/emailJob');
+const {
+  createSchedule,
+  listSchedules,
+  getSchedule,
+  updateSchedule,
+  pauseSchedule,
+  resumeSchedule,
+  deleteSchedule
+} = require('./jobs/schedules');
 const { 
   addBatchEmailJob, 
   addProgressTrackingJob, 
   createEmailCampaign,
+  getCampaignStatus,
   cleanupOldJobs 
 } = require('./examples/advanced-examples');
 const emailQueue = require('./queues/emailQueue');
+const { getQueue, listDefinitions } = require('./queues');
+const { config } = require('./config');
+const { loadTemplate, listTemplates, renderTemplate } = require('./templates');
+const { authenticate, authorize } = require('./http/auth');
+const { streamEvents } = require('./http/events');
+const { livenessHandler, readinessHandler } = require('./http/health');
+const { unsubscribePageHandler, oneClickUnsubscribeHandler } = require('./http/unsubscribe');
+const { onShutdown, isShuttingDown, handleSignals } = require('./shutdown');
+const {
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  listDeliveries,
+  checkCallbackUrl
+} = require('./webhooks');
+const {
+  addSuppression,
+  getSuppression,
+  removeSuppression,
+  listSuppressions
+} = require('./suppressions');
+const {
+  listDeadLetters,
+  getDeadLetter,
+  updateDeadLetterPayload,
+  replayDeadLetter,
+  replayDeadLetters,
+  purgeDeadLetter,
+  purgeDeadLetters
+} = require('./jobs/deadLetters');
+const { previewBulkOperation, startBulkOperation, getBulkOperation } = require('./jobs/bulkOperations');
+const {
+  pauseQueue,
+  resumeQueue,
+  drainQueue,
+  requestObliteration,
+  obliterateQueue
+} = require('./jobs/queueControl');
+const { rateLimitUsage } = require('./jobs/rateLimits');
+const { searchJobs } = require('./jobs/jobSearch');
+const { queryAnalytics } = require('./analytics');
+const { collectQueueMetrics, metricsHandler } = require('./metrics');
+const { startAlerting, listAlerts } = require('./alerts');
+const { ApiError, errorHandler, notFoundHandler } = require('./http/errors');
+const { requestId } = require('./http/requestId');
+const { apiRoutes, listRoutes, openApiHandler, docsHandler } = require('./http/openapi');
+const { logger } = require('./logger');
+const schemas = require('./http/schemas');
 
 const app = express();
-const PORT = 3000;
+const PORT = config.server.port;
 
-// Bull Board Dashboard for monitoring queues
+// Request ID and req.log for every request, the dashboard included (see http/requestId.js)
+app.use(requestId());
+
+// Bull Board Dashboard for monitoring queues (operators only)
 const { serverAdapter } = require('./dashboard');
-app.use('/admin/queues', serverAdapter.getRouter());
+app.use('/admin/queues', authenticate({ realm: 'Bull Board' }), authorize('operate'), serverAdapter.getRouter());
 
 // Middleware
 app.use(express.json());
 
-// Routes
+// While shutting down, don't keep connections alive for another request
+app.use((req, res, next) => {
+  if (isShuttingDown()) res.set('Connection', 'close');
+  next();
+});
+
+// Job ID derived from the request's Idempotency-Key, if it sent one
+const idempotentJobId = (req) => (req.idempotency ? req.idempotency.jobId : undefined);
+
+// Look up req.params.queue in the queue registry (sets req.queue)
+const resolveQueue = (req, res, next) => {
+  req.queue = getQueue(req.params.queue);
+  if (!req.queue) {
+    return next(ApiError.notFound(`Queue "${req.params.queue}" not found`));
+  }
+  next();
+};
+
+/**
+ * Search filters from the query of GET /jobs and GET /queues/:queue/jobs
+ */
+const toJobSearch = ({ name, ...query }) => ({ ...query, names: name });
+
+/**
+ * Job details as returned by GET /job/:id and GET /queues/:queue/jobs/:id
+ */
+const findJobDetails = async (queue, id) => {
+  const job = await queue.getJob(id);
+  
+  if (!job) {
+    throw ApiError.notFound('Job not found');
+  }
+  
+  const state = await job.getState();
+  
+  return {
+    id: job.id,
+    queue: queue.name,
+    name: job.name,
+    data: job.data,
+    state,
+    progress: job.progress,
+    attempts: job.attemptsMade,
+    maxAttempts: job.opts.attempts,
+    createdAt: new Date(job.timestamp).toISOString(),
+    processedOn: job.processedOn ? new Date(job.processedOn).toISOString() : null,
+    finishedOn: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
+    failedReason: job.failedReason,
+    returnValue: job.returnvalue
+  };
+};
+
+/**
+ * Counts per state plus the most recent jobs in each state, and for the
+ * email queue the usage of the per-domain and per-tenant rate limits
+ */
+const queueStats = async (queue) => {
+  const [counts, paused, waiting, active, completed, failed, rateLimits] = await Promise.all([
+    queue.getJobCounts(),
+    queue.isPaused(),
+    queue.getWaiting(0, 4),
+    queue.getActive(0, 4),
+    queue.getCompleted(0, 4), // Last 5
+    queue.getFailed(0, 4), // Last 5
+    queue.name === emailQueue.name ? rateLimitUsage() : undefined,
+  ]);
+  
+  return {
+    queue: queue.name,
+    paused,
+    counts,
+    ...(rateLimits && { rateLimits }),
+    recentJobs: {
+      waiting: waiting.map(job => ({
+        id: job.id,
+        name: job.name,
+        data: job.data
+      })),
+      active: active.map(job => ({
+        id: job.id,
+        name: job.name,
+        progress: job.progress
+      })),
+      completed: completed.map(job => ({
+        id: job.id,
+        name: job.name,
+        finishedOn: job.finishedOn
+      })),
+      failed: failed.map(job => ({
+        id: job.id,
+        name: job.name,
+        failedReason: job.failedReason
+      }))
+    }
+  };
+};
+
+/**
+ * Move a failed job back to waiting (409 for jobs in any other state)
+ */
+const retryFailedJob = async (queue, id) => {
+  const job = await queue.getJob(id);
+  
+  if (!job) {
+    throw ApiError.notFound('Job not found');
+  }
+  
+  const state = await job.getState();
+  if (state !== 'failed') {
+    throw ApiError.conflict(`Job ${job.id} is ${state}; only failed jobs can be retried`);
+  }
+  
+  await job.retry();
+  
+  return {
+    message: `Job ${job.id} queued for retry`,
+    queue: queue.name,
+    jobId: job.id
+  };
+};
+
+// Routes, declared with their schemas (see http/openapi.js)
+const api = apiRoutes(app);
+const systemRoutes = api.group('System');
+const emailRoutes = api.group('Emails');
+const scheduleRoutes = api.group('Schedules');
+const campaignRoutes = api.group('Campaigns & Templates');
+const webhookRoutes = api.group('Webhooks');
+const suppressionRoutes = api.group('Suppressions');
+const deadLetterRoutes = api.group('Dead Letters');
+const jobRoutes = api.group('Jobs');
+const queueRoutes = api.group('Queues');
+const monitoringRoutes = api.group('Monitoring');
 
 /**
- * GET / - Basic info about the API
+ * GET / - Basic info about the API, with every endpoint
  */
-app.get('/', (req, res) => {
+systemRoutes.get('/', {
+  operationId: 'getApiInfo',
+  summary: 'API info and the list of endpoints',
+  schema: schemas.apiInfo,
+}, (req, res) => {
   res.json({
     message: 'BullMQ Demo API',
-    endpoints: {
-      'POST /send-email': 'Add an email job (with optional delay)',
-      'POST /send-urgent': 'Add a high-priority email job',
-      'POST /send-recurring': 'Add a recurring email job',
-      'POST /schedule-email': 'Schedule an email for a specific time',
-      'POST /send-batch': 'Send emails to multiple recipients in batches',
-      'POST /send-with-progress': 'Send emails with progress tracking',
-      'POST /create-campaign': 'Create an email campaign with multiple steps',
-      'GET /admin/queues': 'View the BullMQ dashboard'
-    },
-    dashboard: `http://localhost:${PORT}/admin/queues`
+    docs: '/docs',
+    openapi: '/openapi.json',
+    dashboard: '/admin/queues',
+    endpoints: Object.fromEntries(listRoutes().map(({ method, path, summary }) => [`${method} ${path}`, summary]))
   });
 });
 
+/**
+ * GET /openapi.json and GET /docs
+ * The OpenAPI 3 document generated from the route declarations, and a page
+ * to browse it (no API key, see http/openapi.js)
+ */
+systemRoutes.get('/openapi.json', {
+  operationId: 'getOpenApi',
+  summary: 'OpenAPI 3 document for this API',
+  schema: schemas.openApi,
+}, openApiHandler);
+systemRoutes.get('/docs', {
+  operationId: 'getDocs',
+  summary: 'Browsable API reference',
+  schema: schemas.docs,
+}, docsHandler);
+
+/**
+ * GET /healthz and GET /readyz
+ * Liveness and readiness for load balancers (no API key, see http/health.js)
+ */
+systemRoutes.get('/healthz', {
+  operationId: 'getLiveness',
+  summary: 'Liveness check',
+  schema: schemas.liveness,
+}, livenessHandler);
+systemRoutes.get('/readyz', {
+  operationId: 'getReadiness',
+  summary: 'Readiness check (Redis, workers, backlog)',
+  schema: schemas.readiness,
+}, readinessHandler);
+
+/**
+ * GET /unsubscribe/:token and POST /unsubscribe/:token
+ * The signed unsubscribe link in every email (a confirmation page), and
+ * the POST that unsubscribes (no API key, see http/unsubscribe.js)
+ */
+suppressionRoutes.get('/unsubscribe/:token', {
+  operationId: 'unsubscribePage',
+  summary: 'Unsubscribe link sent in every email: confirmation page (no API key)',
+  schema: schemas.unsubscribePage,
+}, unsubscribePageHandler);
+suppressionRoutes.post('/unsubscribe/:token', {
+  operationId: 'unsubscribeOneClick',
+  summary: 'Unsubscribe: the confirmation form, or one-click (RFC 8058, no API key)',
+  schema: schemas.oneClickUnsubscribe,
+}, oneClickUnsubscribeHandler);
+
+// Every route below needs an API key (when auth is enabled)
+app.use(authenticate());
+
 /**
  * POST /send-email
  * Add a regular email job with optional delay
  * 
- * Body: { "to": "user@example.com", "delay": 5000 }
- */
-app.post('/send-email', async (req, res) => {
-  try {
-    const { to, delay } = req.body;
-    
-    if (!to) {
-      return res.status(400).json({ error: 'Email recipient "to" is required' });
-    }
-    
-    const job = await addEmailJob(to, delay || 0);
-    
-    res.json({
-      message: `Email job added for ${to}`,
-      jobId: job.id,
-      delay: delay || 0,
-      willProcessAt: delay ? new Date(Date.now() + delay).toISOString() : 'immediately'
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+ * Body: { "to": "user@example.com", "delay": 5000, "callbackUrl": "https://example.com/hooks/email", "tenantId": "acme" }
+ */
+emailRoutes.post('/send-email', {
+  operationId: 'sendEmail',
+  summary: 'Add an email job (with optional delay)',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.sendEmail,
+}, async (req, res) => {
+  const { to, delay, callbackUrl, tenantId } = req.body;
+  checkCallbackUrl(callbackUrl);
+  
+  const job = await addEmailJob(to, delay, { jobId: idempotentJobId(req), callbackUrl, tenantId, requestId: req.id });
+  
+  res.json({
+    message: `Email job added for ${to}`,
+    jobId: job.id,
+    delay,
+    willProcessAt: delay ? new Date(Date.now() + delay).toISOString() : 'immediately'
+  });
 });
 
 /**
@@ -82,50 +322,163 @@ app.post('/send-email', async (req, res) => {
  * 
  * Body: { "to": "important@example.com" }
  */
-app.post('/send-urgent', async (req, res) => {
-  try {
-    const { to } = req.body;
-    
-    if (!to) {
-      return res.status(400).json({ error: 'Email recipient "to" is required' });
-    }
-    
-    const job = await addUrgentEmailJob(to);
-    
-    res.json({
-      message: `Urgent email job added for ${to}`,
-      jobId: job.id,
-      priority: job.opts.priority
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+emailRoutes.post('/send-urgent', {
+  operationId: 'sendUrgentEmail',
+  summary: 'Add a high-priority email job',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.sendUrgent,
+}, async (req, res) => {
+  const { to, tenantId } = req.body;
+  
+  const job = await addUrgentEmailJob(to, { jobId: idempotentJobId(req), tenantId, requestId: req.id });
+  
+  res.json({
+    message: `Urgent email job added for ${to}`,
+    jobId: job.id,
+    priority: job.opts.priority
+  });
 });
 
 /**
  * POST /send-recurring
- * Add a recurring email job
+ * Shortcut for POST /schedules with only a recipient and a cron pattern
  * 
- * Body: { "cron": "asterisk/2 asterisk asterisk asterisk asterisk" } (optional, defaults to every minute)
- */
-app.post('/send-recurring', async (req, res) => {
-  try {
-    const { cron } = req.body;
-    const cronPattern = cron || '*/1 * * * *'; // Default: every minute
-    
-    const job = await addEmailJob('recurring@example.com', 0, { 
-      cron: cronPattern 
-    });
-    
-    res.json({
-      message: 'Recurring job added',
-      jobId: job.id,
-      cron: cronPattern,
-      nextRun: 'Check dashboard for next execution time'
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+ * Body: { "to": "user@example.com", "cron": "asterisk/2 asterisk asterisk asterisk asterisk" } (cron optional, defaults to every minute)
+ */
+scheduleRoutes.post('/send-recurring', {
+  operationId: 'sendRecurring',
+  summary: 'Schedule a recurring email (shortcut for POST /schedules)',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.sendRecurring,
+}, async (req, res) => {
+  const { to, cron } = req.body;
+  
+  const schedule = await createSchedule({
+    id: req.idempotency ? `schedule-${req.idempotency.uuid}` : undefined,
+    to,
+    cron
+  });
+  
+  res.status(201).json({
+    message: `Recurring email scheduled for ${to}`,
+    scheduleId: schedule.id,
+    cron,
+    nextRun: schedule.nextRun,
+    manage: `/schedules/${schedule.id}`
+  });
+});
+
+/**
+ * POST /schedules
+ * Create a recurring email schedule
+ * 
+ * Body: {
+ *   "to": "user@example.com",
+ *   "cron": "0 9 * * 1",
+ *   "timezone": "Europe/Berlin",
+ *   "subject": "Weekly digest", "text": "...", "html": "...",
+ *   "name": "Monday digest",
+ *   "startDate": "2025-08-01T00:00:00.000Z", "endDate": "2025-12-31T23:59:59.000Z",
+ *   "maxRuns": 20,
+ *   "tenantId": "acme"
+ * }
+ */
+scheduleRoutes.post('/schedules', {
+  operationId: 'createSchedule',
+  summary: 'Create a recurring email schedule',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.createSchedule,
+}, async (req, res) => {
+  const schedule = await createSchedule({
+    ...req.body,
+    id: req.idempotency ? `schedule-${req.idempotency.uuid}` : undefined
+  });
+  
+  res.status(201).json(schedule);
+});
+
+/**
+ * GET /schedules
+ * List recurring schedules with their status and next run time
+ */
+scheduleRoutes.get('/schedules', {
+  operationId: 'listSchedules',
+  summary: 'List recurring schedules with next run times',
+  permission: 'read',
+  schema: schemas.listSchedules,
+}, async (req, res) => {
+  res.json({ schedules: await listSchedules() });
+});
+
+/**
+ * GET /schedules/:id
+ * Get one recurring schedule
+ */
+scheduleRoutes.get('/schedules/:id', {
+  operationId: 'getSchedule',
+  summary: 'Get a recurring schedule',
+  permission: 'read',
+  schema: schemas.scheduleById,
+}, async (req, res) => {
+  res.json(await getSchedule(req.params.id));
+});
+
+/**
+ * PATCH /schedules/:id
+ * Change the cron pattern, time zone, run window, limit or email content
+ * 
+ * Body: any of the POST /schedules fields, e.g. { "cron": "0 8 * * 1", "subject": "New subject" }
+ */
+scheduleRoutes.patch('/schedules/:id', {
+  operationId: 'updateSchedule',
+  summary: 'Update a schedule\'s pattern, window or content',
+  permission: 'enqueue',
+  schema: schemas.updateSchedule,
+}, async (req, res) => {
+  res.json(await updateSchedule(req.params.id, req.body));
+});
+
+/**
+ * POST /schedules/:id/pause
+ * Stop producing jobs until resumed
+ */
+scheduleRoutes.post('/schedules/:id/pause', {
+  operationId: 'pauseSchedule',
+  summary: 'Pause a schedule',
+  permission: 'enqueue',
+  schema: schemas.pauseSchedule,
+}, async (req, res) => {
+  res.json(await pauseSchedule(req.params.id));
+});
+
+/**
+ * POST /schedules/:id/resume
+ * Resume a paused schedule
+ */
+scheduleRoutes.post('/schedules/:id/resume', {
+  operationId: 'resumeSchedule',
+  summary: 'Resume a schedule',
+  permission: 'enqueue',
+  schema: schemas.resumeSchedule,
+}, async (req, res) => {
+  res.json(await resumeSchedule(req.params.id));
+});
+
+/**
+ * DELETE /schedules/:id
+ * Delete a schedule
+ */
+scheduleRoutes.delete('/schedules/:id', {
+  operationId: 'deleteSchedule',
+  summary: 'Delete a schedule',
+  permission: 'enqueue',
+  schema: schemas.deleteSchedule,
+}, async (req, res) => {
+  await deleteSchedule(req.params.id);
+  res.status(204).end();
 });
 
 /**
@@ -134,53 +487,51 @@ app.post('/send-recurring', async (req, res) => {
  * 
  * Body: { "to": "user@example.com", "scheduleTime": "2024-12-25T09:00:00.000Z" }
  */
-app.post('/schedule-email', async (req, res) => {
-  try {
-    const { to, scheduleTime } = req.body;
-    
-    if (!to || !scheduleTime) {
-      return res.status(400).json({ 
-        error: 'Both "to" and "scheduleTime" are required' 
-      });
-    }
-    
-    const job = await scheduleEmailAt(to, scheduleTime);
-    
-    res.json({
-      message: `Email scheduled for ${to}`,
-      jobId: job.id,
-      scheduledFor: scheduleTime
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+emailRoutes.post('/schedule-email', {
+  operationId: 'scheduleEmail',
+  summary: 'Schedule an email for a specific time',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.scheduleEmail,
+}, async (req, res) => {
+  const { to, scheduleTime, tenantId } = req.body;
+  
+  const job = await scheduleEmailAt(to, scheduleTime, { jobId: idempotentJobId(req), tenantId, requestId: req.id });
+  
+  res.json({
+    message: `Email scheduled for ${to}`,
+    jobId: job.id,
+    scheduledFor: scheduleTime
+  });
 });
 
 /**
  * POST /send-batch
  * Send emails to multiple recipients in batches
  * 
- * Body: { "recipients": ["user1@example.com", "user2@example.com"], "batchSize": 10 }
- */
-app.post('/send-batch', async (req, res) => {
-  try {
-    const { recipients, batchSize } = req.body;
-    
-    if (!recipients || !Array.isArray(recipients)) {
-      return res.status(400).json({ error: 'Recipients array is required' });
-    }
-    
-    const jobs = await addBatchEmailJob(recipients, batchSize || 10);
-    
-    res.json({
-      message: `Batch email jobs created for ${recipients.length} recipients`,
-      totalJobs: jobs.length,
-      batchSize: batchSize || 10,
-      jobIds: jobs.map(job => job.id)
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+ * Body: { "recipients": ["user1@example.com", "user2@example.com"], "batchSize": 10, "callbackUrl": "https://..." }
+ * (callbackUrl is called once per batch job)
+ */
+emailRoutes.post('/send-batch', {
+  operationId: 'sendBatch',
+  summary: 'Send emails to multiple recipients in batches',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.sendBatch,
+}, async (req, res) => {
+  const { recipients, batchSize, callbackUrl, tenantId } = req.body;
+  checkCallbackUrl(callbackUrl);
+  
+  const { jobs, suppressed } = await addBatchEmailJob(recipients, batchSize, { jobId: idempotentJobId(req), callbackUrl, tenantId, requestId: req.id });
+  
+  res.json({
+    message: `Batch email jobs created for ${recipients.length - suppressed.length} recipients`,
+    totalJobs: jobs.length,
+    batchSize,
+    jobIds: jobs.map(job => job.id),
+    suppressed: suppressed.length,
+    suppressedRecipients: suppressed
+  });
 });
 
 /**
@@ -189,25 +540,26 @@ app.post('/send-batch', async (req, res) => {
  * 
  * Body: { "recipients": ["user1@example.com", "user2@example.com"] }
  */
-app.post('/send-with-progress', async (req, res) => {
-  try {
-    const { recipients } = req.body;
-    
-    if (!recipients || !Array.isArray(recipients)) {
-      return res.status(400).json({ error: 'Recipients array is required' });
-    }
-    
-    const job = await addProgressTrackingJob(recipients);
-    
-    res.json({
-      message: `Progress tracking job created for ${recipients.length} recipients`,
-      jobId: job.id,
-      totalRecipients: recipients.length,
-      trackProgress: `Check dashboard or GET /job/${job.id}/progress`
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+emailRoutes.post('/send-with-progress', {
+  operationId: 'sendWithProgress',
+  summary: 'Send emails with progress tracking',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.sendWithProgress,
+}, async (req, res) => {
+  const { recipients, tenantId } = req.body;
+  
+  const { job, suppressed } = await addProgressTrackingJob(recipients, { jobId: idempotentJobId(req), tenantId, requestId: req.id });
+  const totalRecipients = recipients.length - suppressed.length;
+  
+  res.json({
+    message: `Progress tracking job created for ${totalRecipients} recipients`,
+    jobId: job.id,
+    totalRecipients,
+    trackProgress: `Check dashboard or GET /job/${job.id}/progress`,
+    suppressed: suppressed.length,
+    suppressedRecipients: suppressed
+  });
 });
 
 /**
@@ -216,212 +568,773 @@ app.post('/send-with-progress', async (req, res) => {
  * 
  * Body: { 
  *   "name": "Weekly Newsletter", 
- *   "recipients": ["user1@example.com"], 
+ *   "recipients": ["user1@example.com", { "email": "jane@example.com", "firstName": "Jane" }], 
  *   "templateId": "newsletter_v1",
- *   "sendTime": "2025-07-08T14:00:00.000Z"
+ *   "sendTime": "2025-07-08T14:00:00.000Z",
+ *   "data": { "issue": 42 },
+ *   "callbackUrl": "https://example.com/hooks/campaigns",
+ *   "tenantId": "acme"
  * }
  */
-app.post('/create-campaign', async (req, res) => {
-  try {
-    const { name, recipients, templateId, sendTime } = req.body;
-    
-    if (!name || !recipients || !templateId) {
-      return res.status(400).json({ 
-        error: 'Campaign name, recipients, and templateId are required' 
-      });
-    }
-    
-    const { prepJob, sendJob, reportJob } = await createEmailCampaign({
+campaignRoutes.post('/create-campaign', {
+  operationId: 'createCampaign',
+  summary: 'Create an email campaign (prepare, send, report)',
+  permission: 'enqueue',
+  idempotent: true,
+  schema: schemas.createCampaign,
+}, async (req, res) => {
+  const { name, recipients, templateId, sendTime, data, callbackUrl, tenantId } = req.body;
+  checkCallbackUrl(callbackUrl);
+  
+  // Fail fast on unknown templates instead of failing the prepare job later
+  await loadTemplate(templateId);
+  
+  const { campaignId, prepJob, sendJob, reportJob, suppressed } = await createEmailCampaign({
+    campaignId: req.idempotency ? `campaign-${req.idempotency.uuid}` : undefined,
+    name,
+    recipients,
+    templateId,
+    sendTime,
+    data,
+    callbackUrl,
+    tenantId,
+    requestId: req.id
+  });
+  
+  res.json({
+    message: `Email campaign "${name}" created successfully`,
+    campaign: {
+      id: campaignId,
       name,
-      recipients,
+      totalRecipients: recipients.length - suppressed.length,
+      suppressed: suppressed.length,
+      suppressedRecipients: suppressed,
       templateId,
-      sendTime
-    });
-    
-    res.json({
-      message: `Email campaign "${name}" created successfully`,
-      campaign: {
-        name,
-        totalRecipients: recipients.length,
-        templateId,
-        sendTime: sendTime || 'immediate'
-      },
-      jobs: {
-        preparation: prepJob.id,
-        sending: sendJob.id,
-        reporting: reportJob.id
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+      sendTime: sendTime || 'immediate'
+    },
+    jobs: {
+      preparation: prepJob.id,
+      sending: sendJob.id,
+      reporting: reportJob.id
+    },
+    trackStatus: `GET /campaign/${campaignId}`
+  });
+});
+
+/**
+ * GET /campaign/:id
+ * Get the state of every campaign step, per-recipient results and overall progress
+ */
+campaignRoutes.get('/campaign/:id', {
+  operationId: 'getCampaign',
+  summary: 'Get campaign progress and per-recipient results',
+  permission: 'read',
+  schema: schemas.campaignStatus,
+}, async (req, res) => {
+  const campaign = await getCampaignStatus(req.params.id);
+  
+  if (!campaign) {
+    throw ApiError.notFound('Campaign not found');
   }
+  
+  res.json(campaign);
+});
+
+/**
+ * GET /templates
+ * List available email templates
+ */
+campaignRoutes.get('/templates', {
+  operationId: 'listTemplates',
+  summary: 'List email templates',
+  permission: 'read',
+  schema: schemas.listTemplates,
+}, async (req, res) => {
+  res.json({ templates: await listTemplates() });
+});
+
+/**
+ * POST /templates/:id/preview
+ * Render a template against sample data
+ * 
+ * Body: { "data": { "firstName": "Jane", "email": "jane@example.com" } }
+ * (optional, defaults to the template's sample.json)
+ */
+campaignRoutes.post('/templates/:id/preview', {
+  operationId: 'previewTemplate',
+  summary: 'Render a template against sample data',
+  permission: 'read',
+  schema: schemas.templatePreview,
+}, async (req, res) => {
+  const template = await loadTemplate(req.params.id);
+  const data = req.body.data || template.sample;
+  
+  res.json({
+    templateId: template.id,
+    data,
+    rendered: renderTemplate(template, data)
+  });
+});
+
+/**
+ * POST /webhooks
+ * Subscribe a URL to job.completed and/or job.failed events
+ * 
+ * Body: { "url": "https://example.com/hooks", "events": ["job.failed"], "jobNames": ["sendCampaign"], "description": "..." }
+ * The response contains the signing secret; it is not shown again.
+ */
+webhookRoutes.post('/webhooks', {
+  operationId: 'createWebhook',
+  summary: 'Subscribe a URL to job.completed / job.failed events',
+  permission: 'operate',
+  schema: schemas.createWebhook,
+}, async (req, res) => {
+  res.status(201).json(await createSubscription(req.body));
+});
+
+/**
+ * GET /webhooks
+ * List webhook subscriptions
+ */
+webhookRoutes.get('/webhooks', {
+  operationId: 'listWebhooks',
+  summary: 'List webhook subscriptions',
+  permission: 'read',
+  schema: schemas.listWebhooks,
+}, async (req, res) => {
+  res.json({ subscriptions: await listSubscriptions() });
+});
+
+/**
+ * GET /webhooks/deliveries
+ * Delivery log, newest first
+ * 
+ * Query: ?jobId=42&subscriptionId=webhook-...&deliveryId=whd-...&outcome=failed&limit=50
+ */
+webhookRoutes.get('/webhooks/deliveries', {
+  operationId: 'listWebhookDeliveries',
+  summary: 'Webhook delivery log',
+  permission: 'read',
+  schema: schemas.webhookDeliveries,
+}, async (req, res) => {
+  res.json({ deliveries: await listDeliveries(req.query) });
+});
+
+/**
+ * GET /webhooks/:id
+ * Get one webhook subscription
+ */
+webhookRoutes.get('/webhooks/:id', {
+  operationId: 'getWebhook',
+  summary: 'Get a webhook subscription',
+  permission: 'read',
+  schema: schemas.webhookById,
+}, async (req, res) => {
+  const subscription = await getSubscription(req.params.id);
+  
+  if (!subscription) {
+    throw ApiError.notFound('Webhook subscription not found');
+  }
+  
+  res.json(subscription);
+});
+
+/**
+ * DELETE /webhooks/:id
+ * Remove a webhook subscription
+ */
+webhookRoutes.delete('/webhooks/:id', {
+  operationId: 'deleteWebhook',
+  summary: 'Remove a webhook subscription',
+  permission: 'operate',
+  schema: schemas.deleteWebhook,
+}, async (req, res) => {
+  if (!await deleteSubscription(req.params.id)) {
+    throw ApiError.notFound('Webhook subscription not found');
+  }
+  
+  res.status(204).end();
+});
+
+/**
+ * POST /suppressions
+ * Stop emailing an address (see suppressions/index.js)
+ * 
+ * Body: { "email": "user@example.com", "reason": "complaint", "note": "Reported via support" }
+ */
+suppressionRoutes.post('/suppressions', {
+  operationId: 'addSuppression',
+  summary: 'Stop emailing an address',
+  permission: 'operate',
+  schema: schemas.addSuppression,
+}, async (req, res) => {
+  const { email, reason, note } = req.body;
+  res.status(201).json(await addSuppression(email, { reason, note, source: `api:${req.principal.name}` }));
+});
+
+/**
+ * GET /suppressions
+ * Suppressed addresses, newest first
+ * 
+ * Query: ?reason=bounced&limit=100&offset=0
+ */
+suppressionRoutes.get('/suppressions', {
+  operationId: 'listSuppressions',
+  summary: 'List suppressed addresses',
+  permission: 'read',
+  schema: schemas.listSuppressions,
+}, async (req, res) => {
+  res.json(await listSuppressions(req.query));
+});
+
+/**
+ * GET /suppressions/:email
+ * The entry for one address (404 if it may be emailed)
+ */
+suppressionRoutes.get('/suppressions/:email', {
+  operationId: 'getSuppression',
+  summary: 'Check whether an address is suppressed',
+  permission: 'read',
+  schema: schemas.suppressionByEmail,
+}, async (req, res) => {
+  const entry = await getSuppression(req.params.email);
+  if (!entry) {
+    throw ApiError.notFound(`${req.params.email} is not suppressed`);
+  }
+  
+  res.json(entry);
+});
+
+/**
+ * DELETE /suppressions/:email
+ * Allow emailing an address again
+ */
+suppressionRoutes.delete('/suppressions/:email', {
+  operationId: 'removeSuppression',
+  summary: 'Allow emailing an address again',
+  permission: 'operate',
+  schema: schemas.removeSuppression,
+}, async (req, res) => {
+  await removeSuppression(req.params.email);
+  res.status(204).end();
+});
+
+/**
+ * GET /dead-letters
+ * Permanently failed jobs, newest first
+ * 
+ * Query: ?queue=emailQueue&name=sendEmail&limit=50&offset=0
+ */
+deadLetterRoutes.get('/dead-letters', {
+  operationId: 'listDeadLetters',
+  summary: 'List permanently failed jobs',
+  permission: 'read',
+  schema: schemas.listDeadLetters,
+}, async (req, res) => {
+  res.json(await listDeadLetters(req.query));
+});
+
+/**
+ * POST /dead-letters/replay
+ * Replay several dead-lettered jobs
+ * 
+ * Body: { "ids": ["dlq-..."] } or { "queue": "emailQueue", "name": "sendEmail" } or { "all": true }
+ */
+deadLetterRoutes.post('/dead-letters/replay', {
+  operationId: 'replayDeadLetters',
+  summary: 'Replay dead-lettered jobs by id or filter',
+  permission: 'operate',
+  schema: schemas.replayDeadLetters,
+}, async (req, res) => {
+  res.json(await replayDeadLetters(req.body));
+});
+
+/**
+ * POST /dead-letters/purge
+ * Delete several dead-lettered jobs
+ * 
+ * Body: same as /dead-letters/replay, plus "before": "2025-07-01T00:00:00Z"
+ */
+deadLetterRoutes.post('/dead-letters/purge', {
+  operationId: 'purgeDeadLetters',
+  summary: 'Delete dead-lettered jobs by id or filter',
+  permission: 'operate',
+  schema: schemas.purgeDeadLetters,
+}, async (req, res) => {
+  res.json(await purgeDeadLetters(req.body));
+});
+
+/**
+ * GET /dead-letters/:id
+ * One dead-lettered job: payload, options, every attempt's error and stack
+ */
+deadLetterRoutes.get('/dead-letters/:id', {
+  operationId: 'getDeadLetter',
+  summary: 'Inspect a dead-lettered job (payload, options, attempts)',
+  permission: 'read',
+  schema: schemas.deadLetterById,
+}, async (req, res) => {
+  res.json(await getDeadLetter(req.params.id));
+});
+
+/**
+ * PATCH /dead-letters/:id
+ * Replace the payload a dead-lettered job will be replayed with
+ * 
+ * Body: { "data": { "to": "fixed@example.com" } }
+ */
+deadLetterRoutes.patch('/dead-letters/:id', {
+  operationId: 'updateDeadLetter',
+  summary: 'Edit a dead-lettered job\'s payload',
+  permission: 'operate',
+  schema: schemas.updateDeadLetter,
+}, async (req, res) => {
+  res.json(await updateDeadLetterPayload(req.params.id, req.body.data));
+});
+
+/**
+ * POST /dead-letters/:id/replay
+ * Add a dead-lettered job back to its queue
+ */
+deadLetterRoutes.post('/dead-letters/:id/replay', {
+  operationId: 'replayDeadLetter',
+  summary: 'Replay a dead-lettered job',
+  permission: 'operate',
+  schema: schemas.replayDeadLetter,
+}, async (req, res) => {
+  res.json(await replayDeadLetter(req.params.id));
+});
+
+/**
+ * DELETE /dead-letters/:id
+ * Delete a dead-lettered job
+ */
+deadLetterRoutes.delete('/dead-letters/:id', {
+  operationId: 'purgeDeadLetter',
+  summary: 'Delete a dead-lettered job',
+  permission: 'operate',
+  schema: schemas.purgeDeadLetter,
+}, async (req, res) => {
+  await purgeDeadLetter(req.params.id);
+  res.status(204).end();
+});
+
+/**
+ * GET /jobs
+ * Search jobs, newest first (see jobs/jobSearch.js)
+ * 
+ * Query: ?states=failed,delayed&name=batchEmail&recipient=user@example.com
+ * &campaign=Spring Sale&createdAfter=...&finishedBefore=...&limit=20, then
+ * &cursor=<nextCursor> for the next page
+ */
+jobRoutes.get('/jobs', {
+  operationId: 'searchJobs',
+  summary: 'Search jobs by state, name, recipient, campaign and time (cursor paging)',
+  permission: 'read',
+  schema: schemas.searchJobs,
+}, async (req, res) => {
+  res.json(await searchJobs(emailQueue, toJobSearch(req.query)));
 });
 
 /**
  * GET /job/:id
  * Get job details and status
  */
-app.get('/job/:id', async (req, res) => {
-  try {
-    const job = await emailQueue.getJob(req.params.id);
-    
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-    
-    const state = await job.getState();
-    
-    res.json({
-      id: job.id,
-      name: job.name,
-      data: job.data,
-      state,
-      progress: job.progress,
-      attempts: job.attemptsMade,
-      maxAttempts: job.opts.attempts,
-      createdAt: new Date(job.timestamp).toISOString(),
-      processedOn: job.processedOn ? new Date(job.processedOn).toISOString() : null,
-      finishedOn: job.finishedOn ? new Date(job.finishedOn).toISOString() : null,
-      failedReason: job.failedReason,
-      returnValue: job.returnvalue
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+jobRoutes.get('/job/:id', {
+  operationId: 'getJob',
+  summary: 'Get job details and status',
+  permission: 'read',
+  schema: schemas.jobById,
+}, async (req, res) => {
+  res.json(await findJobDetails(emailQueue, req.params.id));
 });
 
 /**
  * GET /job/:id/progress
  * Get job progress
  */
-app.get('/job/:id/progress', async (req, res) => {
-  try {
-    const job = await emailQueue.getJob(req.params.id);
-    
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
-    }
-    
-    const state = await job.getState();
-    
-    res.json({
-      id: job.id,
-      state,
-      progress: job.progress || 0,
-      progressData: job.progress ? `${job.progress}%` : 'Not started'
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+jobRoutes.get('/job/:id/progress', {
+  operationId: 'getJobProgress',
+  summary: 'Get job progress',
+  permission: 'read',
+  schema: schemas.jobProgress,
+}, async (req, res) => {
+  const job = await emailQueue.getJob(req.params.id);
+  
+  if (!job) {
+    throw ApiError.notFound('Job not found');
   }
+  
+  const state = await job.getState();
+  
+  res.json({
+    id: job.id,
+    state,
+    progress: job.progress || 0,
+    progressData: job.progress ? `${job.progress}%` : 'Not started'
+  });
+});
+
+/**
+ * GET /job/:id/events
+ * Live events for one job (Server-Sent Events); resumes from Last-Event-ID
+ */
+jobRoutes.get('/job/:id/events', {
+  operationId: 'streamJobEvents',
+  summary: 'Live events for one job (Server-Sent Events)',
+  permission: 'read',
+  schema: schemas.jobEvents,
+}, async (req, res) => {
+  await streamEvents(req, res, emailQueue, { jobId: req.params.id });
 });
 
 /**
  * GET /queue/stats
  * Get queue statistics
  */
-app.get('/queue/stats', async (req, res) => {
-  try {
-    const counts = await emailQueue.getJobCounts();
-    const waiting = await emailQueue.getWaiting();
-    const active = await emailQueue.getActive();
-    const completed = await emailQueue.getCompleted(0, 4); // Last 5
-    const failed = await emailQueue.getFailed(0, 4); // Last 5
-    
-    res.json({
-      counts,
-      recentJobs: {
-        waiting: waiting.slice(0, 5).map(job => ({
-          id: job.id,
-          name: job.name,
-          data: job.data
-        })),
-        active: active.slice(0, 5).map(job => ({
-          id: job.id,
-          name: job.name,
-          progress: job.progress
-        })),
-        completed: completed.map(job => ({
-          id: job.id,
-          name: job.name,
-          finishedOn: job.finishedOn
-        })),
-        failed: failed.map(job => ({
-          id: job.id,
-          name: job.name,
-          failedReason: job.failedReason
-        }))
-      }
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+queueRoutes.get('/queue/stats', {
+  operationId: 'getEmailQueueStats',
+  summary: 'Email queue statistics',
+  permission: 'read',
+  schema: schemas.queueStats,
+}, async (req, res) => {
+  res.json(await queueStats(emailQueue));
+});
+
+/**
+ * GET /queue/events
+ * Live events for every job in the queue (Server-Sent Events)
+ * 
+ * Query: ?name=batchEmail,sendCampaign to follow only some job types
+ */
+queueRoutes.get('/queue/events', {
+  operationId: 'streamEmailQueueEvents',
+  summary: 'Live events for the email queue (Server-Sent Events)',
+  permission: 'read',
+  schema: schemas.queueEvents,
+}, async (req, res) => {
+  await streamEvents(req, res, emailQueue, { names: req.query.name });
 });
 
 /**
  * POST /queue/cleanup
  * Clean up old completed and failed jobs
  */
-app.post('/queue/cleanup', async (req, res) => {
-  try {
-    await cleanupOldJobs();
-    
-    const newCounts = await emailQueue.getJobCounts();
-    
-    res.json({
-      message: 'Queue cleanup completed',
-      newCounts
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
+queueRoutes.post('/queue/cleanup', {
+  operationId: 'cleanupEmailQueue',
+  summary: 'Clean up old completed and failed jobs',
+  permission: 'operate',
+  schema: schemas.cleanupQueue,
+}, async (req, res) => {
+  await cleanupOldJobs();
+  
+  const newCounts = await emailQueue.getJobCounts();
+  
+  res.json({
+    message: 'Queue cleanup completed',
+    newCounts
+  });
 });
 
 /**
  * POST /job/:id/retry
  * Retry a failed job
  */
-app.post('/job/:id/retry', async (req, res) => {
-  try {
-    const job = await emailQueue.getJob(req.params.id);
-    
-    if (!job) {
-      return res.status(404).json({ error: 'Job not found' });
+jobRoutes.post('/job/:id/retry', {
+  operationId: 'retryJob',
+  summary: 'Retry a failed job',
+  permission: 'operate',
+  schema: schemas.retryJob,
+}, async (req, res) => {
+  res.json(await retryFailedJob(emailQueue, req.params.id));
+});
+
+/**
+ * GET /queues
+ * List every registered queue with its job counts
+ */
+queueRoutes.get('/queues', {
+  operationId: 'listQueues',
+  summary: 'List registered queues',
+  permission: 'read',
+  schema: schemas.listQueues,
+}, async (req, res) => {
+  const queues = await Promise.all(listDefinitions().map(async ({ name, description, queue, worker }) => ({
+    name,
+    description: description || null,
+    paused: await queue.isPaused(),
+    counts: await queue.getJobCounts(),
+    worker: worker ? { concurrency: worker.concurrency || 1, limiter: worker.limiter || null } : null,
+    links: {
+      stats: `/queues/${name}/stats`,
+      dashboard: `/admin/queues/queue/${name}`
+    }
+  })));
+  
+  res.json({ queues });
+});
+
+/**
+ * GET /metrics
+ * Prometheus metrics: job counts per queue and state, plus this process's
+ * workers and Redis client (see metrics/index.js)
+ */
+collectQueueMetrics();
+monitoringRoutes.get('/metrics', {
+  operationId: 'getMetrics',
+  summary: 'Prometheus metrics',
+  permission: 'read',
+  schema: schemas.metrics,
+}, metricsHandler);
+
+/**
+ * GET /analytics
+ * Delivery counts over time, kept after the jobs are removed (see analytics/index.js)
+ * 
+ * Query: ?granularity=hour&from=...&to=... and at most one of
+ * name=batchEmail, campaign=<campaignId> or domain=gmail.com
+ */
+monitoringRoutes.get('/analytics', {
+  operationId: 'getAnalytics',
+  summary: 'Sent, failed, retried and suppressed emails over time',
+  permission: 'read',
+  schema: schemas.analytics,
+}, async (req, res) => {
+  res.json(await queryAnalytics(req.query));
+});
+
+/**
+ * GET /alerts
+ * Configured alert rules and the alerts firing right now (see alerts/index.js)
+ */
+monitoringRoutes.get('/alerts', {
+  operationId: 'listAlerts',
+  summary: 'Alert rules and the alerts firing now',
+  permission: 'read',
+  schema: schemas.listAlerts,
+}, async (req, res) => {
+  res.json(await listAlerts());
+});
+
+/**
+ * GET /queues/:queue/stats
+ * Queue statistics for any registered queue
+ */
+queueRoutes.get('/queues/:queue/stats', {
+  operationId: 'getQueueStats',
+  summary: 'Statistics for one queue',
+  permission: 'read',
+  schema: schemas.queueByName,
+}, resolveQueue, async (req, res) => {
+  res.json(await queueStats(req.queue));
+});
+
+/**
+ * GET /queues/:queue/jobs
+ * Search jobs in any registered queue (same query as GET /jobs)
+ */
+queueRoutes.get('/queues/:queue/jobs', {
+  operationId: 'searchQueueJobs',
+  summary: 'Search jobs in one queue',
+  permission: 'read',
+  schema: schemas.searchQueueJobs,
+}, resolveQueue, async (req, res) => {
+  res.json(await searchJobs(req.queue, toJobSearch(req.query)));
+});
+
+/**
+ * GET /queues/:queue/jobs/:id
+ * Job details for any registered queue
+ */
+queueRoutes.get('/queues/:queue/jobs/:id', {
+  operationId: 'getQueueJob',
+  summary: 'Job details in one queue',
+  permission: 'read',
+  schema: schemas.queueJobById,
+}, resolveQueue, async (req, res) => {
+  res.json(await findJobDetails(req.queue, req.params.id));
+});
+
+/**
+ * GET /queues/:queue/events
+ * Live events for any registered queue (same query as GET /queue/events)
+ */
+queueRoutes.get('/queues/:queue/events', {
+  operationId: 'streamQueueEvents',
+  summary: 'Live events for one queue (Server-Sent Events)',
+  permission: 'read',
+  schema: schemas.queueEventsByName,
+}, resolveQueue, async (req, res) => {
+  await streamEvents(req, res, req.queue, { names: req.query.name });
+});
+
+/**
+ * GET /queues/:queue/jobs/:id/events
+ * Live events for one job in any registered queue
+ */
+queueRoutes.get('/queues/:queue/jobs/:id/events', {
+  operationId: 'streamQueueJobEvents',
+  summary: 'Live events for one job in one queue (Server-Sent Events)',
+  permission: 'read',
+  schema: schemas.queueJobEvents,
+}, resolveQueue, async (req, res) => {
+  await streamEvents(req, res, req.queue, { jobId: req.params.id });
+});
+
+/**
+ * POST /queues/:queue/jobs/:id/retry
+ * Retry a failed job in any registered queue
+ */
+queueRoutes.post('/queues/:queue/jobs/:id/retry', {
+  operationId: 'retryQueueJob',
+  summary: 'Retry a failed job in one queue',
+  permission: 'operate',
+  schema: schemas.retryQueueJob,
+}, resolveQueue, async (req, res) => {
+  res.json(await retryFailedJob(req.queue, req.params.id));
+});
+
+/**
+ * POST /queues/:queue/bulk
+ * Retry, remove, promote or re-prioritize every job matching a filter
+ * 
+ * Body: { "action": "retry", "filter": { "states": ["failed"], "names": ["sendEmail"],
+ *         "data": { "to": "user@example.com" }, "failedAfter": "2025-07-10T14:00:00Z" }, "dryRun": true }
+ * With dryRun the matching jobs are only counted; otherwise the operation
+ * runs in the background (202) and is tracked at /bulk-operations/:id.
+ */
+queueRoutes.post('/queues/:queue/bulk', {
+  operationId: 'startBulkOperation',
+  summary: 'Retry, remove, promote or re-prioritize jobs matching a filter (dryRun to count)',
+  permission: 'operate',
+  schema: schemas.bulkOperation,
+}, resolveQueue, async (req, res) => {
+  if (req.body.dryRun) {
+    return res.json(await previewBulkOperation(req.queue, req.body));
+  }
+  
+  const operation = await startBulkOperation(req.queue, req.body, { requestId: req.id });
+  
+  res.status(202).json({
+    ...operation,
+    links: {
+      status: `/bulk-operations/${operation.id}`,
+      events: `/queues/maintenanceQueue/jobs/${operation.id}/events`
     }
-    
-    await job.retry();
-    
-    res.json({
-      message: `Job ${job.id} queued for retry`,
-      jobId: job.id
-    });
-  } catch (error) {
-    res.status(500).json({ error: error.message });
+  });
+});
+
+/**
+ * POST /queues/:queue/pause
+ * Body: { "scope": "global" } (every worker) or { "scope": "local" } (this
+ * process's worker only). Active jobs finish; answers with the queue state.
+ */
+queueRoutes.post('/queues/:queue/pause', {
+  operationId: 'pauseQueue',
+  summary: 'Pause a queue everywhere, or only this process\'s worker',
+  permission: 'operate',
+  schema: schemas.pauseQueue,
+}, resolveQueue, async (req, res) => {
+  res.json(await pauseQueue(req.queue, req.body));
+});
+
+/**
+ * POST /queues/:queue/resume
+ * Body: { "scope": "global" | "local" }, as for pause
+ */
+queueRoutes.post('/queues/:queue/resume', {
+  operationId: 'resumeQueue',
+  summary: 'Resume a paused queue or local worker',
+  permission: 'operate',
+  schema: schemas.pauseQueue,
+}, resolveQueue, async (req, res) => {
+  res.json(await resumeQueue(req.queue, req.body));
+});
+
+/**
+ * POST /queues/:queue/drain
+ * Remove every job that hasn't started; { "delayed": false } keeps delayed jobs
+ */
+queueRoutes.post('/queues/:queue/drain', {
+  operationId: 'drainQueue',
+  summary: 'Remove waiting (and delayed) jobs',
+  permission: 'operate',
+  schema: schemas.drainQueue,
+}, resolveQueue, async (req, res) => {
+  res.json(await drainQueue(req.queue, req.body));
+});
+
+/**
+ * POST /queues/:queue/obliterate
+ * Without a body: returns a confirmationToken (valid for a minute).
+ * With { "confirmationToken": "...", "force": false }: deletes the queue,
+ * its jobs and schedules (force also removes active jobs).
+ */
+queueRoutes.post('/queues/:queue/obliterate', {
+  operationId: 'obliterateQueue',
+  summary: 'Delete a queue and all its jobs (two steps, with a confirmation token)',
+  permission: 'operate',
+  schema: schemas.obliterateQueue,
+}, resolveQueue, async (req, res) => {
+  if (!req.body.confirmationToken) {
+    return res.json(await requestObliteration(req.queue));
   }
+  res.json(await obliterateQueue(req.queue, req.body));
 });
 
+/**
+ * GET /bulk-operations/:id
+ * State, progress and result of a bulk operation
+ */
+queueRoutes.get('/bulk-operations/:id', {
+  operationId: 'getBulkOperation',
+  summary: 'Progress and result of a bulk operation',
+  permission: 'read',
+  schema: schemas.bulkOperationById,
+}, async (req, res) => {
+  res.json(await getBulkOperation(req.params.id));
+});
+
+// Errors: unknown routes, validation failures and anything a route throws.
+// Express 5 passes rejected promises from async handlers to errorHandler.
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // Start server
-app.listen(PORT, () => {
-  console.log('🚀 BullMQ Demo Server Started!');
+const server = app.listen(PORT, () => {
+  logger.info('🚀 BullMQ Demo Server Started!', { port: PORT });
+  
+  // Help for humans; JSON logs stay one object per line
+  if (config.logging.format !== 'pretty') return;
   console.log(`📡 API Server: http://localhost:${PORT}`);
+  console.log(`📖 API docs: http://localhost:${PORT}/docs (OpenAPI: /openapi.json, ${listRoutes().length} endpoints)`);
   console.log(`📊 Dashboard: http://localhost:${PORT}/admin/queues`);
-  console.log('\n📋 Available endpoints:');
-  console.log('  GET  /                 - API info');
-  console.log('  POST /send-email       - Add email job');
-  console.log('  POST /send-urgent      - Add urgent email job');
-  console.log('  POST /send-recurring   - Add recurring job');
-  console.log('  POST /schedule-email   - Schedule email');
-  console.log('  POST /send-batch       - Send batch email');
-  console.log('  POST /send-with-progress - Send email with progress tracking');
-  console.log('  POST /create-campaign  - Create email campaign');
-  console.log('\n💡 Try these curl commands:');
-  console.log(`  curl -X POST http://localhost:${PORT}/send-email -H "Content-Type: application/json" -d '{"to":"test@example.com"}'`);
-  console.log(`  curl -X POST http://localhost:${PORT}/send-email -H "Content-Type: application/json" -d '{"to":"delayed@example.com","delay":10000}'`);
-  console.log(`  curl -X POST http://localhost:${PORT}/send-urgent -H "Content-Type: application/json" -d '{"to":"urgent@example.com"}'`);
-  console.log(`  curl -X POST http://localhost:${PORT}/send-recurring`);
-  console.log(`  curl -X POST http://localhost:${PORT}/send-batch -H "Content-Type: application/json" -d '{"recipients":["user1@example.com","user2@example.com"]}'`);
-  console.log(`  curl -X POST http://localhost:${PORT}/send-with-progress -H "Content-Type: application/json" -d '{"recipients":["user1@example.com","user2@example.com"]}'`);
-  console.log(`  curl -X POST http://localhost:${PORT}/create-campaign -H "Content-Type: application/json" -d '{"name":"Test Campaign","recipients":["user1@example.com"],"templateId":"template1"}'`);
-});
-
-// Start the email worker
-require('./workers/emailWorker'); // This starts the worker process
+  // With auth on, the examples need a key that can enqueue and read (preview)
+  const key = config.auth.enabled ? ' -H "X-API-Key: $API_KEY"' : '';
+  console.log(`\n💡 Try these curl commands${config.auth.enabled ? ' (export API_KEY=<a producer+viewer key from API_KEYS>)' : ''}:`);
+  console.log(`  curl -X POST http://localhost:${PORT}/send-email -H "Content-Type: application/json"${key} -d '{"to":"test@example.com"}'`);
+  console.log(`  curl -X POST http://localhost:${PORT}/send-email -H "Content-Type: application/json"${key} -d '{"to":"delayed@example.com","delay":10000}'`);
+  console.log(`  curl -X POST http://localhost:${PORT}/send-urgent -H "Content-Type: application/json"${key} -d '{"to":"urgent@example.com"}'`);
+  console.log(`  curl -X POST http://localhost:${PORT}/send-recurring -H "Content-Type: application/json"${key} -d '{"to":"recurring@example.com"}'`);
+  console.log(`  curl -X POST http://localhost:${PORT}/send-batch -H "Content-Type: application/json"${key} -d '{"recipients":["user1@example.com","user2@example.com"]}'`);
+  console.log(`  curl -X POST http://localhost:${PORT}/send-with-progress -H "Content-Type: application/json"${key} -d '{"recipients":["user1@example.com","user2@example.com"]}'`);
+  console.log(`  curl -X POST http://localhost:${PORT}/create-campaign -H "Content-Type: application/json"${key} -d '{"name":"Test Campaign","recipients":["user1@example.com"],"templateId":"newsletter_v1"}'`);
+  console.log(`  curl -X POST http://localhost:${PORT}/templates/welcome/preview${key}`);
+});
+
+// On SIGTERM/SIGINT: stop taking requests, let the ones in flight finish,
+// then drain the workers and close every connection (see shutdown.js)
+onShutdown('intake', 'HTTP server', () => new Promise((resolve, reject) => {
+  server.close(error => (error ? reject(error) : resolve()));
+}));
+handleSignals();
+
+// Evaluate the alert rules (see alerts/index.js); worker processes do too,
+// but only one process evaluates them in each interval
+startAlerting();
+
+// Start the workers in this process too, unless they run separately
+// (`node cli.js work`, see EMBEDDED_WORKER in config.js)
+if (config.server.embeddedWorker) {
+  require('./workers'); // This starts a worker per queue
+}
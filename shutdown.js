@@ -0,0 +1,136 @@
+/**
+ * Graceful Shutdown
+ *
+ * One coordinator handles SIGTERM and SIGINT in every process (the API and
+ * `node cli.js work`). Modules register what they need closed in one of
+ * these phases, which run in order:
+ *
+ *   intake       stop accepting HTTP requests and let the ones in flight
+ *                finish, end event streams, stop alerting
+ *   workers      let active jobs finish
+ *   connections  close queues, QueueEvents, the flow producer and the
+ *                metrics server
+ *   redis        quit the shared Redis client
+ *
+ * Steps within a phase run in parallel. intake and workers get up to
+ * SHUTDOWN_TIMEOUT_MS each, the others a few seconds. A phase that doesn't
+ * finish in time is logged and left behind, so a dead Redis can't keep the
+ * process alive; jobs still running then are picked up again as stalled by
+ * another worker.
+ * A second signal exits straight away.
+ */
+
+const { config } = require('./config');
+const { logger } = require('./logger');
+
+const PHASES = ['intake', 'workers', 'connections', 'redis'];
+
+// Time allowed for the phases that don't wait for jobs
+const PHASE_TIMEOUT_MS = 5000;
+
+const steps = new Map(PHASES.map(phase => [phase, []]));
+let shuttingDown = null;
+let handlingSignals = false;
+
+/**
+ * Register something to close on shutdown
+ *
+ * @param {string} phase - One of PHASES
+ * @param {string} name - Shown in the shutdown log
+ * @param {Function} close - () => Promise
+ */
+const onShutdown = (phase, name, close) => {
+  if (!steps.has(phase)) {
+    throw new Error(`Unknown shutdown phase "${phase}" (use one of: ${PHASES.join(', ')})`);
+  }
+  steps.get(phase).push({ name, close });
+};
+
+/**
+ * Whether shutdown has started (readiness turns false straight away)
+ */
+const isShuttingDown = () => shuttingDown !== null;
+
+const runPhase = async (phase, timeoutMs) => {
+  const phaseSteps = steps.get(phase);
+  if (phaseSteps.length === 0) return true;
+
+  let timer;
+  const results = Promise.allSettled(phaseSteps.map(async ({ name, close }) => {
+    try {
+      await close();
+    } catch (error) {
+      logger.error(`❌ Failed to close ${name}`, { error: error.message });
+      throw error;
+    }
+  }));
+  const timeout = new Promise((resolve) => { timer = setTimeout(() => resolve(null), timeoutMs); });
+
+  const settled = await Promise.race([results, timeout]);
+  clearTimeout(timer);
+
+  if (settled === null) {
+    logger.warn(`⏱️  ${phase}: ${phaseSteps.map(step => step.name).join(', ')} didn't finish within ${timeoutMs}ms, moving on`);
+    return false;
+  }
+  return settled.every(result => result.status === 'fulfilled');
+};
+
+/**
+ * Run every phase in order (without exiting; one-off CLI commands use this)
+ *
+ * @returns {boolean} true if everything closed in time and without errors
+ */
+const closeAll = async () => {
+  let clean = true;
+  for (const phase of PHASES) {
+    const timeoutMs = phase === 'intake' || phase === 'workers' ? config.server.shutdownTimeoutMs : PHASE_TIMEOUT_MS;
+    clean = (await runPhase(phase, timeoutMs)) && clean;
+  }
+  return clean;
+};
+
+/**
+ * Close everything in order, then exit
+ *
+ * @param {string} reason - e.g. the signal name
+ * @returns {Promise} Settles when shutdown is done (just before exiting)
+ */
+const shutdown = (reason) => {
+  if (shuttingDown) return shuttingDown;
+
+  logger.info(`🛑 Received ${reason}, shutting down gracefully...`);
+  shuttingDown = closeAll().then((clean) => {
+    logger.info(clean ? '👋 Shutdown complete' : '👋 Shutdown finished with errors');
+    process.exit(clean ? 0 : 1);
+  });
+
+  return shuttingDown;
+};
+
+/**
+ * Shut down on SIGTERM and SIGINT
+ */
+const handleSignals = () => {
+  if (handlingSignals) return;
+  handlingSignals = true;
+
+  ['SIGTERM', 'SIGINT'].forEach((signal) => {
+    process.on(signal, () => {
+      if (isShuttingDown()) {
+        logger.warn(`⚠️  Received ${signal} again, exiting now`);
+        process.exit(1);
+      }
+      shutdown(signal);
+    });
+  });
+};
+
+module.exports = {
+  PHASES,
+  onShutdown,
+  isShuttingDown,
+  closeAll,
+  shutdown,
+  handleSignals
+};
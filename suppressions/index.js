@@ -0,0 +1,167 @@
+/**
+ * Suppression List
+ *
+ * Addresses we must not email again, with why and since when:
+ *
+ *   <prefix>:suppressions  { "<address>": '{"email","reason","note","source","createdAt"}' }
+ *
+ * reason is one of:
+ *
+ *   unsubscribed  the recipient used an unsubscribe link (see ./unsubscribe.js)
+ *   bounced       a hard bounce: the mailbox or domain doesn't exist
+ *   complaint     the recipient reported the email as spam
+ *   manual        added by an operator
+ *
+ * The list is checked twice: when jobs are added (jobs/emailJob.js,
+ * examples/advanced-examples.js), and by the worker just before each send
+ * (workers/delivery.js), which also catches addresses suppressed while
+ * their job waited and jobs that were retried or replayed.
+ * Addresses are compared lower-cased.
+ */
+
+const { redisInstance, redisKey } = require('../redis');
+const { normalizeEmailAddress: normalizeAddress } = require('../utils/emailAddress');
+const { logger } = require('../logger');
+
+const REASONS = ['unsubscribed', 'bounced', 'complaint', 'manual'];
+const STORE_KEY = redisKey('suppressions');
+
+/**
+ * Raised for suppressed recipients at enqueue time, unknown entries and
+ * bad unsubscribe links
+ *
+ * code: RECIPIENT_SUPPRESSED | ALL_RECIPIENTS_SUPPRESSED |
+ *       SUPPRESSION_NOT_FOUND | INVALID_UNSUBSCRIBE_TOKEN
+ */
+class SuppressionError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'SuppressionError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+// Campaign recipients may be { email, ...fields }
+const addressOf = (recipient) => normalizeAddress(typeof recipient === 'string' ? recipient : recipient.email);
+
+/**
+ * Add (or update) an address
+ *
+ * @param {string} email - Address to suppress
+ * @param {object} options - { reason (default manual), note, source }
+ * @returns {object} The entry
+ */
+const addSuppression = async (email, { reason = 'manual', note, source = 'api' } = {}) => {
+  if (!REASONS.includes(reason)) {
+    throw new Error(`Unknown suppression reason "${reason}" (use one of: ${REASONS.join(', ')})`);
+  }
+
+  const entry = {
+    email: normalizeAddress(email),
+    reason,
+    note: note || null,
+    source,
+    createdAt: new Date().toISOString()
+  };
+  await redisInstance.hset(STORE_KEY, entry.email, JSON.stringify(entry));
+  logger.info(`🚫 ${entry.email} suppressed (${reason})`);
+
+  return entry;
+};
+
+/**
+ * The entry for an address, or null if it may be emailed
+ */
+const getSuppression = async (email) => {
+  const raw = await redisInstance.hget(STORE_KEY, normalizeAddress(email));
+  return raw ? JSON.parse(raw) : null;
+};
+
+/**
+ * Remove an address (throws SUPPRESSION_NOT_FOUND)
+ */
+const removeSuppression = async (email) => {
+  const address = normalizeAddress(email);
+  if (!(await redisInstance.hdel(STORE_KEY, address))) {
+    throw new SuppressionError(`${address} is not suppressed`, 'SUPPRESSION_NOT_FOUND');
+  }
+  logger.info(`✅ ${address} removed from the suppression list`);
+};
+
+/**
+ * List entries, newest first
+ *
+ * @param {object} filter - { reason, limit (default 100), offset }
+ * @returns {object} { total, suppressions }
+ */
+const listSuppressions = async ({ reason, limit = 100, offset = 0 } = {}) => {
+  const entries = Object.values(await redisInstance.hgetall(STORE_KEY))
+    .map(raw => JSON.parse(raw))
+    .filter(entry => !reason || entry.reason === reason)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+  return { total: entries.length, suppressions: entries.slice(offset, offset + limit) };
+};
+
+/**
+ * Split recipients into the ones that may be emailed and the suppressed ones
+ *
+ * @param {Array<string|object>} recipients - Addresses or { email, ...fields }
+ * @returns {object} { allowed: [recipient], suppressed: [{ email, reason }] }
+ */
+const filterSuppressed = async (recipients) => {
+  if (recipients.length === 0) return { allowed: [], suppressed: [] };
+
+  const entries = await redisInstance.hmget(STORE_KEY, ...recipients.map(addressOf));
+  const allowed = [];
+  const suppressed = [];
+  recipients.forEach((recipient, index) => {
+    if (entries[index]) {
+      suppressed.push({ email: addressOf(recipient), reason: JSON.parse(entries[index]).reason });
+    } else {
+      allowed.push(recipient);
+    }
+  });
+
+  return { allowed, suppressed };
+};
+
+/**
+ * Enqueue-time check for a single recipient (throws RECIPIENT_SUPPRESSED)
+ */
+const assertNotSuppressed = async (email) => {
+  const entry = await getSuppression(email);
+  if (entry) {
+    throw new SuppressionError(`${entry.email} is on the suppression list (${entry.reason})`, 'RECIPIENT_SUPPRESSED', { reason: entry.reason });
+  }
+};
+
+/**
+ * Enqueue-time check for a recipient list: the recipients left to email
+ * (throws ALL_RECIPIENTS_SUPPRESSED if there are none)
+ *
+ * @returns {object} { allowed, suppressed } as in filterSuppressed
+ */
+const withoutSuppressed = async (recipients) => {
+  const result = await filterSuppressed(recipients);
+  if (result.allowed.length === 0) {
+    throw new SuppressionError('Every recipient is on the suppression list', 'ALL_RECIPIENTS_SUPPRESSED');
+  }
+  if (result.suppressed.length > 0) {
+    logger.info(`🚫 Skipping ${result.suppressed.length} suppressed recipient(s)`);
+  }
+  return result;
+};
+
+module.exports = {
+  REASONS,
+  SuppressionError,
+  addSuppression,
+  getSuppression,
+  removeSuppression,
+  listSuppressions,
+  filterSuppressed,
+  assertNotSuppressed,
+  withoutSuppressed
+};
@@ -0,0 +1,72 @@
+/**
+ * Unsubscribe Links
+ *
+ * Every email carries a link that takes its recipient off our list without
+ * logging in:
+ *
+ *   <PUBLIC_URL>/unsubscribe/<token>
+ *   token = base64url(address) "." base64url(HMAC-SHA256(UNSUBSCRIBE_SECRET, address))
+ *
+ * The signature stops anyone from unsubscribing addresses other than their
+ * own. Tokens don't expire, since the link has to keep working in old mail.
+ * Without UNSUBSCRIBE_SECRET there are no links: none are made and every
+ * token is refused, so nobody can unsubscribe addresses with a guessable
+ * key. Emails then go without List-Unsubscribe, and templates show the link
+ * in a {{#unsubscribeUrl}} section that is left out (see templates/index.js).
+ * workers/delivery.js sends it as a List-Unsubscribe header (with
+ * List-Unsubscribe-Post for one-click unsubscribe in mail clients), and
+ * campaign templates can show it as {{ unsubscribeUrl }}.
+ */
+
+const crypto = require('crypto');
+const { config } = require('../config');
+const { logger } = require('../logger');
+
+if (!config.suppressions.unsubscribeSecret) {
+  logger.warn('⚠️  UNSUBSCRIBE_SECRET is not set: emails go without unsubscribe links and /unsubscribe refuses every link');
+}
+
+const signature = (address) => crypto
+  .createHmac('sha256', config.suppressions.unsubscribeSecret)
+  .update(address)
+  .digest('base64url');
+
+/**
+ * Token for an (already normalized) address, or null without a secret
+ */
+const unsubscribeToken = (address) => {
+  if (!config.suppressions.unsubscribeSecret) return null;
+  return `${Buffer.from(address).toString('base64url')}.${signature(address)}`;
+};
+
+/**
+ * Link for an (already normalized) address, or null without a secret
+ */
+const unsubscribeUrl = (address) => {
+  if (!config.suppressions.unsubscribeSecret) return null;
+  const base = config.server.publicUrl || `http://localhost:${config.server.port}`;
+  return `${base.replace(/\/+$/, '')}/unsubscribe/${unsubscribeToken(address)}`;
+};
+
+/**
+ * The address a token was made for, or null if it isn't one of ours
+ */
+const verifyUnsubscribeToken = (token) => {
+  const [encoded, received, ...rest] = String(token).split('.');
+  if (!encoded || !received || rest.length > 0) return null;
+  if (!config.suppressions.unsubscribeSecret) return null;
+
+  const address = Buffer.from(encoded, 'base64url').toString();
+  // Compare bytes: non-ASCII characters make the strings' lengths lie
+  const expected = Buffer.from(signature(address));
+  const actual = Buffer.from(received);
+  const matches = expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+
+  return matches ? address : null;
+};
+
+module.exports = {
+  unsubscribeToken,
+  unsubscribeUrl,
+  verifyUnsubscribeToken
+};
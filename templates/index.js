@@ -0,0 +1,178 @@
+/**
+ * Email Template Store
+ *
+ * Templates live in this directory, one folder per template ID:
+ *
+ *   templates/<templateId>/subject.txt   (required)
+ *   templates/<templateId>/body.txt      (plain-text part)
+ *   templates/<templateId>/body.html     (HTML part)
+ *   templates/<templateId>/sample.json   (optional sample data for previews)
+ *
+ * At least one of body.txt / body.html must exist.
+ *
+ * Variables use {{ name }} and may reach into objects ({{ company.name }}).
+ * Give a fallback with {{ firstName | "there" }}. A variable with no value
+ * and no fallback is a render error. Values are HTML-escaped in body.html.
+ * {{#name}} ... {{/name}} keeps its content only when name has a value, for
+ * parts that may not apply (e.g. the unsubscribe link, which only exists
+ * when UNSUBSCRIBE_SECRET is set).
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const TEMPLATE_DIR = __dirname;
+const TEMPLATE_ID_PATTERN = /^[a-zA-Z0-9_-]+$/;
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w.]*)\s*(?:\|\s*"([^"]*)"\s*)?\}\}/g;
+const SECTION_PATTERN = /\{\{#\s*([a-zA-Z_][\w.]*)\s*\}\}([\s\S]*?)\{\{\/\s*\1\s*\}\}/g;
+
+/**
+ * Raised when a template cannot be found or rendered
+ *
+ * code: TEMPLATE_NOT_FOUND | MISSING_VARIABLES | INVALID_TEMPLATE
+ */
+class TemplateError extends Error {
+  constructor(message, code, details = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = code;
+    Object.assign(this, details);
+  }
+}
+
+const readOptional = async (file) => {
+  try {
+    return await fs.readFile(file, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+};
+
+/**
+ * Load a template by ID
+ *
+ * @returns {object} { id, subject, text, html, sample }
+ */
+const loadTemplate = async (templateId) => {
+  if (!TEMPLATE_ID_PATTERN.test(String(templateId))) {
+    throw new TemplateError(`Invalid template ID "${templateId}"`, 'TEMPLATE_NOT_FOUND', { templateId });
+  }
+
+  const dir = path.join(TEMPLATE_DIR, templateId);
+  const [subject, text, html, sample] = await Promise.all([
+    readOptional(path.join(dir, 'subject.txt')),
+    readOptional(path.join(dir, 'body.txt')),
+    readOptional(path.join(dir, 'body.html')),
+    readOptional(path.join(dir, 'sample.json')),
+  ]);
+
+  if (subject === null) {
+    throw new TemplateError(`Template "${templateId}" not found`, 'TEMPLATE_NOT_FOUND', { templateId });
+  }
+  if (text === null && html === null) {
+    throw new TemplateError(
+      `Template "${templateId}" needs a body.txt or body.html`,
+      'INVALID_TEMPLATE',
+      { templateId }
+    );
+  }
+
+  return {
+    id: templateId,
+    subject: subject.trim(),
+    text,
+    html,
+    sample: sample ? JSON.parse(sample) : {},
+  };
+};
+
+/**
+ * List the IDs of all available templates
+ */
+const listTemplates = async () => {
+  const entries = await fs.readdir(TEMPLATE_DIR, { withFileTypes: true });
+  return entries
+    .filter(entry => entry.isDirectory() && TEMPLATE_ID_PATTERN.test(entry.name))
+    .map(entry => entry.name);
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const lookup = (data, dottedPath) => dottedPath
+  .split('.')
+  .reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const isEmpty = value => value === undefined || value === null || value === '';
+
+/**
+ * Interpolate one template part, collecting missing variable names
+ */
+const interpolate = (source, data, missing, escape) => source
+  .replace(SECTION_PATTERN, (match, name, content) => (isEmpty(lookup(data, name)) ? '' : content))
+  .replace(VARIABLE_PATTERN, (match, name, fallback) => {
+    const value = lookup(data, name);
+    if (isEmpty(value)) {
+      if (fallback !== undefined) return escape(fallback);
+      missing.add(name);
+      return match;
+    }
+    return escape(value);
+  });
+
+/**
+ * Render a template against merge data
+ *
+ * @param {object} template - Result of loadTemplate()
+ * @param {object} data - Merge fields
+ * @returns {object} { subject, text, html }
+ * @throws {TemplateError} MISSING_VARIABLES with `missing` listing the names
+ */
+const renderTemplate = (template, data = {}) => {
+  const missing = new Set();
+  const plain = value => String(value);
+
+  const rendered = {
+    subject: interpolate(template.subject, data, missing, plain),
+    text: template.text === null ? undefined : interpolate(template.text, data, missing, plain),
+    html: template.html === null ? undefined : interpolate(template.html, data, missing, escapeHtml),
+  };
+
+  if (missing.size > 0) {
+    const names = [...missing];
+    throw new TemplateError(
+      `Template "${template.id}" is missing variables: ${names.join(', ')}`,
+      'MISSING_VARIABLES',
+      { templateId: template.id, missing: names }
+    );
+  }
+
+  return rendered;
+};
+
+/**
+ * Turn a recipient entry into { email, ...mergeFields }
+ *
+ * Accepts a plain address ("user@example.com") or an object
+ * with an `email` property plus any merge fields.
+ */
+const normalizeRecipient = (recipient) => {
+  if (recipient && typeof recipient === 'object') {
+    return { ...recipient, email: String(recipient.email || '').trim().toLowerCase() };
+  }
+  return { email: String(recipient).trim().toLowerCase() };
+};
+
+module.exports = {
+  TemplateError,
+  loadTemplate,
+  listTemplates,
+  renderTemplate,
+  normalizeRecipient,
+  escapeHtml,
+};
@@ -0,0 +1,55 @@
+/**
+ * File Outbox Transport
+ *
+ * Writes every message as an RFC 5322 `.eml` file into a directory instead
+ * of delivering it. Open the files with any mail client to check the result.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Create a file outbox transport
+ *
+ * @param {object} options
+ * @param {string} options.dir - Directory the .eml files are written to
+ */
+const createFileTransport = ({ dir }) => {
+  // Nodemailer's stream transport composes the raw MIME message for us
+  const composer = nodemailer.createTransport({
+    streamTransport: true,
+    buffer: true,
+    newline: 'windows',
+  });
+
+  const send = async (message) => {
+    const info = await composer.sendMail(message);
+
+    await fs.mkdir(dir, { recursive: true });
+
+    // Message-IDs look like <uuid@host>; keep only filename-safe characters
+    const safeId = info.messageId.replace(/[^a-zA-Z0-9.@-]/g, '');
+    const file = path.join(dir, `${Date.now()}-${safeId}.eml`);
+    await fs.writeFile(file, info.message);
+
+    return {
+      messageId: info.messageId,
+      accepted: [].concat(info.envelope.to),
+      rejected: [],
+      response: `Written to ${file}`,
+    };
+  };
+
+  return {
+    name: 'file',
+    send,
+    verify: async () => {
+      await fs.mkdir(dir, { recursive: true });
+      return true;
+    },
+    close: () => {},
+  };
+};
+
+module.exports = createFileTransport;
@@ -0,0 +1,78 @@
+/**
+ * Email Transport Selection
+ *
+ * A transport is any object with an async `send(message)` method that
+ * returns `{ messageId, accepted, rejected, response }` and throws the
+ * provider's real error on failure.
+ *
+ * Pick one with the `email.transport` setting (EMAIL_TRANSPORT, see config.js):
+ * - smtp:   deliver through SMTP_HOST / SMTP_PORT (production or a local sink)
+ * - file:   write .eml files to EMAIL_OUTBOX_DIR (default for local dev)
+ * - memory: capture messages in memory (tests)
+ */
+
+const { config } = require('../config');
+const createSmtpTransport = require('./smtpTransport');
+const createFileTransport = require('./fileTransport');
+const createMemoryTransport = require('./memoryTransport');
+const { logger } = require('../logger');
+
+const factories = {
+  smtp: createSmtpTransport,
+  file: createFileTransport,
+  memory: createMemoryTransport,
+};
+
+/**
+ * Transport options from the `email` section of the configuration
+ */
+const transportOptionsFromConfig = (email = config.email) => ({
+  type: email.transport,
+  from: email.from,
+  smtp: email.smtp,
+  file: { dir: email.outboxDir },
+});
+
+/**
+ * Build a transport from options
+ *
+ * @param {object} options - See transportOptionsFromConfig() for the shape
+ */
+const createTransport = (options = transportOptionsFromConfig()) => {
+  const factory = factories[options.type];
+
+  if (!factory) {
+    throw new Error(
+      `Unknown email transport "${options.type}". Use one of: ${Object.keys(factories).join(', ')}`
+    );
+  }
+
+  const transport = factory(options[options.type] || {});
+  transport.defaultFrom = options.from;
+  return transport;
+};
+
+// Shared transport used by the worker (created on first use)
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) {
+    transport = createTransport();
+    logger.info(`✉️  Email transport: ${transport.name}`);
+  }
+  return transport;
+};
+
+/**
+ * Replace the shared transport (e.g. with a memory transport in tests)
+ */
+const setTransport = (newTransport) => {
+  transport = newTransport;
+};
+
+module.exports = {
+  createTransport,
+  getTransport,
+  setTransport,
+  transportOptionsFromConfig,
+};
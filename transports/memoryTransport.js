@@ -0,0 +1,38 @@
+/**
+ * In-Memory Capture Transport
+ *
+ * Keeps sent messages in an array instead of delivering them.
+ * Useful for tests: enqueue jobs, run the worker, then assert on `messages`.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Create an in-memory transport
+ */
+const createMemoryTransport = () => {
+  const messages = [];
+
+  const send = async (message) => {
+    const messageId = `<${crypto.randomUUID()}@memory.local>`;
+    messages.push({ ...message, messageId, sentAt: new Date().toISOString() });
+
+    return {
+      messageId,
+      accepted: [].concat(message.to),
+      rejected: [],
+      response: 'Captured in memory',
+    };
+  };
+
+  return {
+    name: 'memory',
+    send,
+    messages,
+    clear: () => { messages.length = 0; },
+    verify: async () => true,
+    close: () => {},
+  };
+};
+
+module.exports = createMemoryTransport;
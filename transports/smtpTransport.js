@@ -0,0 +1,53 @@
+/**
+ * SMTP Transport
+ *
+ * Delivers email through any SMTP server (a real provider in production,
+ * or a local sink such as MailHog / Mailpit during development).
+ */
+
+const nodemailer = require('nodemailer');
+
+/**
+ * Create an SMTP transport
+ *
+ * @param {object} options
+ * @param {string} options.host - SMTP server host
+ * @param {number} options.port - SMTP server port
+ * @param {boolean} options.secure - Use implicit TLS (usually port 465)
+ * @param {string} options.user - Optional auth user
+ * @param {string} options.pass - Optional auth password
+ */
+const createSmtpTransport = ({ host, port, secure = false, user, pass }) => {
+  const mailer = nodemailer.createTransport({
+    host,
+    port,
+    secure,
+    auth: user ? { user, pass } : undefined,
+  });
+
+  const send = async (message) => {
+    try {
+      const info = await mailer.sendMail(message);
+      return {
+        messageId: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected,
+        response: info.response,
+      };
+    } catch (error) {
+      // 5xx replies are permanent (bad mailbox, policy rejection, ...).
+      // Retrying them only burns attempts, so flag them for the worker.
+      error.permanent = error.responseCode >= 500 && error.responseCode < 600;
+      throw error;
+    }
+  };
+
+  return {
+    name: 'smtp',
+    send,
+    verify: () => mailer.verify(),
+    close: () => mailer.close(),
+  };
+};
+
+module.exports = createSmtpTransport;
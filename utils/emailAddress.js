@@ -0,0 +1,85 @@
+/**
+ * Email Address Parsing
+ *
+ * Accepts a bare address ("jane@example.com") or a display-name form
+ * ("Jane Doe <jane@example.com>") and checks the address part against the
+ * RFC 5321 limits that real mail servers enforce.
+ */
+
+const addressparser = require('nodemailer/lib/addressparser');
+
+// Unquoted local part (dot-atom) and hostname label rules
+const LOCAL_PART = /^[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-zA-Z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL = /^[a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+const TOP_LEVEL_DOMAIN = /^([a-zA-Z]{2,63}|xn--[a-zA-Z0-9-]{1,59})$/;
+
+/**
+ * Parse one email address
+ *
+ * @param {string} input - Address, optionally with a display name
+ * @returns {object} { address, name, domain } with a lower-cased address
+ * @throws {Error} Explaining why the address is invalid
+ */
+const parseEmailAddress = (input) => {
+  if (typeof input !== 'string' || input.trim() === '') {
+    throw new Error('must be an email address');
+  }
+
+  const parsed = addressparser(input.trim());
+  if (parsed.length !== 1 || parsed[0].group || !parsed[0].address) {
+    throw new Error('must be a single email address');
+  }
+
+  const { address, name } = parsed[0];
+  const at = address.lastIndexOf('@');
+  const local = address.slice(0, at);
+  const domain = address.slice(at + 1).toLowerCase();
+
+  if (at < 1 || !LOCAL_PART.test(local)) {
+    throw new Error(`"${address}" has an invalid local part`);
+  }
+  if (local.length > 64) {
+    throw new Error(`"${address}" has a local part longer than 64 characters`);
+  }
+  if (address.length > 254) {
+    throw new Error(`"${address}" is longer than 254 characters`);
+  }
+
+  const labels = domain.split('.');
+  if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL.test(label)) || !TOP_LEVEL_DOMAIN.test(labels[labels.length - 1])) {
+    throw new Error(`"${address}" has an invalid domain`);
+  }
+
+  return { address: `${local}@${domain}`.toLowerCase(), name, domain };
+};
+
+/**
+ * True if the input parses as an email address
+ */
+const isEmailAddress = (input) => {
+  try {
+    parseEmailAddress(input);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * The form addresses are stored and compared in
+ * ("Jane <Jane@Example.com>" -> "jane@example.com"); input that doesn't
+ * parse is only trimmed and lower-cased
+ */
+const normalizeEmailAddress = (input) => {
+  try {
+    return parseEmailAddress(input).address;
+  } catch (error) {
+    return String(input).trim().toLowerCase();
+  }
+};
+
+module.exports = {
+  parseEmailAddress,
+  isEmailAddress,
+  normalizeEmailAddress,
+};
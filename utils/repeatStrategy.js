@@ -0,0 +1,37 @@
+/**
+ * Cron Repeat Strategy
+ *
+ * BullMQ's default strategy evaluates cron patterns from "now" and ignores
+ * the scheduler's startDate (cron-parser only uses startDate as a lower
+ * bound for going backwards). This one starts counting at startDate when
+ * it lies in the future, so a schedule created today for next month does
+ * not fire in the meantime. Used by the queue and the worker (see the
+ * `settings` of queues/emailQueue.js).
+ */
+
+const cronParser = require('cron-parser');
+
+/**
+ * @param {number} millis - Time to compute the next run from
+ * @param {object} opts - Repeat options ({ pattern, tz, startDate, endDate, ... })
+ * @returns {number|undefined} Next run in milliseconds, undefined when there is none
+ */
+const repeatStrategy = (millis, opts) => {
+  const { pattern, startDate, immediately } = opts;
+  const startMillis = startDate ? new Date(startDate).getTime() : 0;
+
+  // cron-parser returns the first match strictly after currentDate
+  const from = startMillis > millis ? startMillis - 1 : millis;
+
+  try {
+    if (immediately) {
+      return Date.now();
+    }
+    return cronParser.parseExpression(pattern, { ...opts, currentDate: new Date(from) }).next().getTime();
+  } catch (error) {
+    // No further runs (e.g. past endDate)
+    return undefined;
+  }
+};
+
+module.exports = { repeatStrategy };
@@ -0,0 +1,124 @@
+/**
+ * Webhook Destinations
+ *
+ * Callback URLs come from API clients, so a delivery must not become a way
+ * to reach the services next to the worker (SSRF): a host that resolves to
+ * a loopback, private, link-local (169.254.169.254 cloud metadata), CGNAT,
+ * multicast or unspecified address is refused, unless it is listed in
+ * WEBHOOK_ALLOWED_PRIVATE_HOSTS (e.g. localhost for the local receiver).
+ *
+ * The check runs at delivery time, inside the connection's DNS lookup, so
+ * the address that is checked is the address that is connected to: a name
+ * that resolved to a public address when the job was added can't be
+ * switched to an internal one later.
+ */
+
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { config } = require('../config');
+
+const blocked = new net.BlockList();
+[
+  ['0.0.0.0', 8, 'ipv4'],       // "this network"
+  ['10.0.0.0', 8, 'ipv4'],
+  ['100.64.0.0', 10, 'ipv4'],   // CGNAT
+  ['127.0.0.0', 8, 'ipv4'],
+  ['169.254.0.0', 16, 'ipv4'],  // link-local, cloud metadata
+  ['172.16.0.0', 12, 'ipv4'],
+  ['192.168.0.0', 16, 'ipv4'],
+  ['224.0.0.0', 4, 'ipv4'],     // multicast
+  ['240.0.0.0', 4, 'ipv4'],     // reserved, broadcast
+  ['::', 128, 'ipv6'],
+  ['::1', 128, 'ipv6'],
+  ['fc00::', 7, 'ipv6'],        // unique local
+  ['fe80::', 10, 'ipv6'],       // link-local
+  ['ff00::', 8, 'ipv6'],        // multicast
+].forEach(([address, prefix, type]) => blocked.addSubnet(address, prefix, type));
+
+/**
+ * Raised for destinations that resolve to an address deliveries may not go to
+ *
+ * code: BLOCKED_DESTINATION
+ */
+class DestinationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DestinationError';
+    this.code = 'BLOCKED_DESTINATION';
+  }
+}
+
+/**
+ * Whether an IP address is loopback, private, link-local, ... (see above)
+ */
+const isPrivateAddress = (address) => {
+  // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  const ip = mapped ? mapped[1] : address;
+  return blocked.check(ip, net.isIPv6(ip) ? 'ipv6' : 'ipv4');
+};
+
+const isAllowedHost = (hostname) => config.webhooks.allowedPrivateHosts.includes(hostname.toLowerCase());
+
+const refuse = (hostname, address) => new DestinationError(
+  `${hostname === address ? hostname : `${hostname} (${address})`} is a private or loopback address; allow it with WEBHOOK_ALLOWED_PRIVATE_HOSTS`
+);
+
+/**
+ * dns.lookup() for http.request that refuses private addresses
+ */
+const guardedLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const denied = isAllowedHost(hostname) ? undefined : addresses.find(({ address }) => isPrivateAddress(address));
+    if (denied) return callback(refuse(hostname, denied.address));
+
+    return options.all
+      ? callback(null, addresses)
+      : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+/**
+ * POST a body to a webhook URL
+ *
+ * Redirects are not followed. Resolves with the status as soon as the
+ * response headers arrive; the body is not read.
+ *
+ * @param {string} url - http(s) URL
+ * @param {object} request - { headers, body, timeoutMs }
+ * @returns {Promise<number>} The HTTP status
+ * @throws {DestinationError} If the host is an address deliveries may not go to
+ */
+const postToDestination = (url, { headers, body, timeoutMs }) => new Promise((resolve, reject) => {
+  const target = new URL(url);
+  // IP literals are connected to without a lookup, so check them here
+  const hostname = target.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(hostname) && !isAllowedHost(hostname) && isPrivateAddress(hostname)) {
+    reject(refuse(hostname, hostname));
+    return;
+  }
+
+  const client = target.protocol === 'https:' ? https : http;
+  const request = client.request(target, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup: guardedLookup,
+    signal: AbortSignal.timeout(timeoutMs),
+  }, (response) => {
+    resolve(response.statusCode);
+    response.destroy();
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+module.exports = {
+  DestinationError,
+  isPrivateAddress,
+  postToDestination,
+};
@@ -0,0 +1,258 @@
+/**
+ * Webhooks
+ *
+ * When a job completes or permanently fails, its outcome is POSTed to:
+ *
+ *   - the job's own `callbackUrl` (set per request on /send-email,
+ *     /send-batch and /create-campaign), signed with WEBHOOK_SECRET; jobs
+ *     with `callbackEvents` only call it back for those events
+ *   - every subscription registered for that event type (POST /webhooks),
+ *     signed with the subscription's own secret
+ *
+ * Payload:
+ *
+ *   {
+ *     "id": "whd-…",               // same for every retry of this delivery
+ *     "event": "job.completed",    // or "job.failed"
+ *     "createdAt": "…",
+ *     "data": { "queue", "jobId", "name", "state", "result" | "failedReason",
+ *               "attempts", "finishedAt", "campaignId" (campaign steps) }
+ *   }
+ *
+ * Each delivery is a job on webhookQueue, retried with backoff; every
+ * attempt is written to a capped delivery log (GET /webhooks/deliveries).
+ * Signatures are described in ./signature.js.
+ */
+
+const crypto = require('crypto');
+const { UnrecoverableError } = require('bullmq');
+const webhookQueue = require('../queues/webhookQueue');
+const { redisInstance, redisKey } = require('../redis');
+const { config } = require('../config');
+const { logger } = require('../logger');
+
+const EVENTS = ['job.completed', 'job.failed'];
+const SUBSCRIPTIONS_KEY = redisKey('webhooks', 'subscriptions');
+const LOG_KEY = redisKey('webhooks', 'deliveries');
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+if (!config.webhooks.secret) {
+  logger.warn('⚠️  WEBHOOK_SECRET is not set: requests with a callbackUrl are refused');
+}
+
+/**
+ * Raised for a callbackUrl the server can't sign deliveries to
+ *
+ * code: CALLBACKS_DISABLED
+ */
+class WebhookError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookError';
+    this.code = code;
+  }
+}
+
+/**
+ * Refuse a callbackUrl when there is no WEBHOOK_SECRET to sign it with
+ * (receivers couldn't tell our deliveries from forged ones)
+ *
+ * @param {string} [callbackUrl] - From the request, if it has one
+ * @throws {WebhookError} CALLBACKS_DISABLED
+ */
+const checkCallbackUrl = (callbackUrl) => {
+  if (callbackUrl && !config.webhooks.secret) {
+    throw new WebhookError('callbackUrl is not available: the server has no WEBHOOK_SECRET to sign deliveries with', 'CALLBACKS_DISABLED');
+  }
+};
+
+/**
+ * Secret used to sign a delivery (throws UnrecoverableError if the
+ * subscription was deleted since the delivery was queued, or if
+ * WEBHOOK_SECRET was unset since)
+ */
+const signingSecret = async (subscriptionId) => {
+  if (!subscriptionId) {
+    if (!config.webhooks.secret) {
+      throw new UnrecoverableError('WEBHOOK_SECRET is not set: the delivery can\'t be signed');
+    }
+    return config.webhooks.secret;
+  }
+
+  const subscription = await getSubscription(subscriptionId, { withSecret: true });
+  if (!subscription) {
+    throw new UnrecoverableError(`Webhook subscription ${subscriptionId} no longer exists`);
+  }
+  return subscription.secret;
+};
+
+// Subscriptions
+
+const withoutSecret = ({ secret, ...subscription }) => subscription;
+
+/**
+ * Register a URL for one or more event types
+ *
+ * @param {object} spec - { url, events, jobNames?, description? }
+ * @returns {object} The subscription, including its secret (only shown here)
+ */
+const createSubscription = async ({ url, events = EVENTS, jobNames, description }) => {
+  const subscription = {
+    id: `webhook-${crypto.randomUUID()}`,
+    url,
+    events,
+    jobNames: jobNames && jobNames.length ? jobNames : null,
+    description: description || null,
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    createdAt: new Date().toISOString()
+  };
+
+  await redisInstance.hset(SUBSCRIPTIONS_KEY, subscription.id, JSON.stringify(subscription));
+  logger.info(`🪝 Webhook subscription ${subscription.id} created for ${events.join(', ')} -> ${url}`);
+
+  return subscription;
+};
+
+/**
+ * All subscriptions (without secrets), oldest first
+ */
+const listSubscriptions = async () => {
+  const subscriptions = Object.values(await redisInstance.hgetall(SUBSCRIPTIONS_KEY)).map(raw => JSON.parse(raw));
+  subscriptions.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  return subscriptions.map(withoutSecret);
+};
+
+/**
+ * One subscription, or null
+ */
+const getSubscription = async (id, { withSecret = false } = {}) => {
+  const raw = await redisInstance.hget(SUBSCRIPTIONS_KEY, id);
+  if (!raw) return null;
+  const subscription = JSON.parse(raw);
+  return withSecret ? subscription : withoutSecret(subscription);
+};
+
+/**
+ * Delete a subscription; queued deliveries to it are dropped
+ *
+ * @returns {boolean} false if it didn't exist
+ */
+const deleteSubscription = async (id) => {
+  const deleted = await redisInstance.hdel(SUBSCRIPTIONS_KEY, id);
+  if (deleted) logger.info(`🗑️  Webhook subscription ${id} deleted`);
+  return deleted > 0;
+};
+
+// Notifications
+
+/**
+ * Whether a 'failed' worker event is the job's last attempt
+ */
+const isFinalFailure = (job, error) =>
+  error instanceof UnrecoverableError || job.attemptsMade >= (job.opts.attempts || 1);
+
+/**
+ * Queue deliveries for a finished job
+ *
+ * @param {string} queueName - Queue the job ran in
+ * @param {Job} job - The completed or failed job
+ * @param {object} outcome - { state: 'completed', result } or { state: 'failed', failedReason }
+ */
+const notifyJobOutcome = async (queueName, job, { state, result, failedReason }) => {
+  const event = `job.${state}`;
+  const finishedAt = new Date(job.finishedOn || Date.now()).toISOString();
+
+  const targets = (await listSubscriptions())
+    .filter(subscription => subscription.events.includes(event))
+    .filter(subscription => !subscription.jobNames || subscription.jobNames.includes(job.name))
+    .map(subscription => ({ url: subscription.url, subscriptionId: subscription.id }));
+
+  const { callbackUrl, callbackEvents } = job.data || {};
+  if (callbackUrl && (!callbackEvents || callbackEvents.includes(event))) {
+    targets.push({ url: callbackUrl, subscriptionId: null });
+  }
+  if (targets.length === 0) {
+    return [];
+  }
+
+  const deliveries = targets.map(({ url, subscriptionId }) => {
+    // Same job outcome + same target = same delivery, even if reported twice
+    const id = `whd-${sha256([queueName, job.id, event, finishedAt, subscriptionId || url].join('\n')).slice(0, 32)}`;
+
+    return {
+      name: event,
+      data: {
+        url,
+        subscriptionId,
+        // Delivery log lines carry the ID of the request that added the job
+        requestId: job.data.requestId,
+        payload: {
+          id,
+          event,
+          createdAt: new Date().toISOString(),
+          data: {
+            queue: queueName,
+            jobId: job.id,
+            name: job.name,
+            state,
+            ...(state === 'completed' ? { result } : { failedReason }),
+            attempts: job.attemptsMade,
+            finishedAt,
+            ...(job.data.campaignId ? { campaignId: job.data.campaignId } : {})
+          }
+        }
+      },
+      opts: { jobId: id }
+    };
+  });
+
+  await webhookQueue.addBulk(deliveries);
+  logger.info(`🪝 Queued ${deliveries.length} webhook delivery(ies) for ${event} of job ${job.id}`);
+
+  return deliveries.map(delivery => delivery.opts.jobId);
+};
+
+// Delivery log
+
+/**
+ * Append one delivery attempt to the capped log
+ */
+const recordAttempt = async (entry) => {
+  await redisInstance
+    .multi()
+    .lpush(LOG_KEY, JSON.stringify(entry))
+    .ltrim(LOG_KEY, 0, config.webhooks.logSize - 1)
+    .exec();
+};
+
+/**
+ * Most recent delivery attempts, newest first
+ *
+ * @param {object} filters - { deliveryId, jobId, subscriptionId, outcome, limit }
+ */
+const listDeliveries = async ({ deliveryId, jobId, subscriptionId, outcome, limit = 50 } = {}) => {
+  const entries = (await redisInstance.lrange(LOG_KEY, 0, -1)).map(raw => JSON.parse(raw));
+
+  return entries
+    .filter(entry => deliveryId === undefined || entry.deliveryId === deliveryId)
+    .filter(entry => jobId === undefined || entry.jobId === jobId)
+    .filter(entry => subscriptionId === undefined || entry.subscriptionId === subscriptionId)
+    .filter(entry => outcome === undefined || entry.outcome === outcome)
+    .slice(0, limit);
+};
+
+module.exports = {
+  EVENTS,
+  WebhookError,
+  checkCallbackUrl,
+  signingSecret,
+  createSubscription,
+  listSubscriptions,
+  getSubscription,
+  deleteSubscription,
+  isFinalFailure,
+  notifyJobOutcome,
+  recordAttempt,
+  listDeliveries,
+};
@@ -0,0 +1,55 @@
+/**
+ * Webhook Signatures
+ *
+ * Every delivery is signed so receivers can check it came from us and was
+ * not replayed later:
+ *
+ *   X-Webhook-Timestamp: 1720000000                 (Unix seconds)
+ *   X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+ *
+ * Receivers recompute the HMAC over the raw request body with their secret,
+ * compare in constant time and reject old timestamps (see verify()).
+ */
+
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'X-Webhook-Signature';
+const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+
+/**
+ * Signature header value for a body
+ *
+ * @param {string} body - The exact JSON string that is sent
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix seconds, also sent in X-Webhook-Timestamp
+ */
+const sign = (body, secret, timestamp) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * Check a received signature
+ *
+ * @param {string} body - Raw request body
+ * @param {string} secret - Shared secret
+ * @param {string|number} timestamp - X-Webhook-Timestamp header
+ * @param {string} signature - X-Webhook-Signature header
+ * @param {number} toleranceSeconds - Maximum age of the delivery (default 5 minutes)
+ * @returns {boolean}
+ */
+const verify = (body, secret, timestamp, signature, toleranceSeconds = 300) => {
+  const seconds = Number(timestamp);
+  if (!Number.isInteger(seconds) || Math.abs(Date.now() / 1000 - seconds) > toleranceSeconds) {
+    return false;
+  }
+
+  const expected = Buffer.from(sign(body, secret, seconds));
+  const received = Buffer.from(String(signature || ''));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+module.exports = {
+  sign,
+  verify,
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+};
@@ -0,0 +1,72 @@
+/**
+ * Bulk Operation Processor
+ *
+ * Runs one bulk operation (see jobs/bulkOperations.js): finds the matching
+ * jobs, then applies the action to each in turn. Progress is reported as
+ * { percent, total, processed, succeeded, failed }; jobs the action can't
+ * be applied to are counted as failed and the first few errors are
+ * returned with the result.
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { getQueue } = require('../queues/registry');
+const { findMatchingJobs } = require('../jobs/bulkOperations');
+const { jobLogger } = require('../logger');
+
+const PROGRESS_EVERY = 100;
+const MAX_ERRORS = 50;
+
+// action -> (job, state the job was found in, operation data) => Promise
+const apply = {
+  retry: (job, state) => job.retry(state),
+  remove: (job) => job.remove(),
+  promote: (job) => job.promote(),
+  changePriority: (job, state, { priority }) => job.changePriority({ priority }),
+};
+
+const processBulkOperation = async (job) => {
+  const { queue: queueName, action } = job.data;
+  const queue = getQueue(queueName);
+
+  if (!queue) {
+    throw new UnrecoverableError(`Queue "${queueName}" is not registered`);
+  }
+
+  const targets = await findMatchingJobs(queue, job.data);
+  const progress = { percent: 0, total: targets.length, processed: 0, succeeded: 0, failed: 0 };
+  const errors = [];
+
+  const log = jobLogger(job);
+
+  await log.step(`🧰 Bulk ${action} on ${queueName}: ${targets.length} matching job(s)`);
+  await job.updateProgress({ ...progress });
+
+  for (const { id, state } of targets) {
+    try {
+      const target = await queue.getJob(id);
+      if (!target) {
+        throw new Error('job no longer exists');
+      }
+      await apply[action](target, state, job.data);
+      progress.succeeded++;
+    } catch (error) {
+      progress.failed++;
+      if (errors.length < MAX_ERRORS) errors.push({ jobId: id, error: error.message });
+    }
+
+    progress.processed++;
+    if (progress.processed % PROGRESS_EVERY === 0) {
+      progress.percent = Math.floor((progress.processed / progress.total) * 100);
+      await job.updateProgress({ ...progress });
+    }
+  }
+
+  progress.percent = 100;
+  await job.updateProgress({ ...progress });
+
+  await log.step(`🧰 Bulk ${action} on ${queueName} done`, { succeeded: progress.succeeded, failed: progress.failed });
+
+  return { ...progress, errors };
+};
+
+module.exports = processBulkOperation;
@@ -0,0 +1,195 @@
+/**
+ * Email Delivery Helpers
+ *
+ * Shared by the job handlers so every job type sends mail the same way:
+ * through the configured transport, with permanent provider errors turned
+ * into UnrecoverableError so BullMQ doesn't waste retries on them, and
+ * within the per-domain and per-tenant rate limits (see jobs/rateLimits.js).
+ *
+ * Suppressed recipients are skipped (see suppressions/index.js), every
+ * message carries an unsubscribe link, and hard bounces put the recipient
+ * on the suppression list. What happens to each email is counted for the
+ * delivery analytics (see analytics/index.js).
+ */
+
+const { UnrecoverableError, DelayedError } = require('bullmq');
+const { getTransport } = require('../transports');
+const { reserveSend } = require('../jobs/rateLimits');
+const { addSuppression, getSuppression } = require('../suppressions');
+const { unsubscribeUrl } = require('../suppressions/unsubscribe');
+const { normalizeEmailAddress } = require('../utils/emailAddress');
+const { recordEmails } = require('../analytics');
+const { jobLogger } = require('../logger');
+
+// Enhanced status codes 5.1.x: the mailbox, domain or address doesn't exist
+const HARD_BOUNCE = /\b5\.1\.\d{1,3}\b/;
+
+const isHardBounce = (error) => error.permanent && HARD_BOUNCE.test(error.response || error.message);
+
+/**
+ * Count emails for the analytics
+ *
+ * Best effort: a failed write is logged rather than failing the job, which
+ * would send the emails again.
+ *
+ * @param {Job} job - The job being processed
+ * @param {string} metric - sent | failed | retried | suppressed
+ * @param {Array<string>} addresses - Recipient addresses
+ */
+const countEmails = (job, metric, addresses) => recordEmails(job, metric, addresses).catch((error) => {
+  jobLogger(job).error(`❌ Failed to count ${metric} emails of job ${job.id}`, { error: error.message });
+});
+
+/**
+ * Count the emails a job didn't get to because it failed: retried if
+ * BullMQ will run it again (same test as Job.shouldRetryJob), else failed.
+ * DelayedError isn't a failure and counts nothing.
+ */
+const countUnsent = (job, error, addresses) => {
+  if (error instanceof DelayedError) return undefined;
+
+  const retry = !(error instanceof UnrecoverableError) && job.attemptsMade + 1 < (job.opts.attempts || 1);
+  return countEmails(job, retry ? 'retried' : 'failed', addresses);
+};
+
+/**
+ * Send a single message through the configured transport
+ *
+ * @param {object} message - { to, subject, text, html, from }
+ * @returns {object} { messageId, accepted, rejected, response, transport }
+ */
+const sendMessage = async (message) => {
+  const transport = getTransport();
+  const address = normalizeEmailAddress(message.to);
+  const url = unsubscribeUrl(address);
+
+  try {
+    const info = await transport.send({
+      ...message,
+      from: message.from || transport.defaultFrom,
+      headers: {
+        // No link without UNSUBSCRIBE_SECRET (see suppressions/unsubscribe.js)
+        ...(url ? {
+          'List-Unsubscribe': `<${url}>`,
+          // RFC 8058: mail clients may unsubscribe with a POST to the link
+          'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+        } : {}),
+        ...message.headers,
+      },
+    });
+    return { ...info, transport: transport.name };
+  } catch (error) {
+    if (isHardBounce(error)) {
+      await addSuppression(address, { reason: 'bounced', note: error.message, source: 'worker' });
+    }
+    if (error.permanent) {
+      throw new UnrecoverableError(error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Wait for the rate limits of a recipient's domain and the job's tenant
+ *
+ * Returns once the send is counted. If a budget is used up, the job goes
+ * back to delayed until it refills (throws DelayedError, which doesn't use
+ * up an attempt); call `beforeDelay` to save progress first.
+ *
+ * @param {Job} job - The job being processed
+ * @param {string} token - The job's lock token
+ * @param {string} to - Recipient address
+ * @param {function} beforeDelay - Optional async () => void
+ */
+const throttle = async (job, token, to, beforeDelay) => {
+  const waitMs = await reserveSend({ to, tenantId: job.data.tenantId });
+  if (waitMs === 0) return;
+
+  if (beforeDelay) await beforeDelay();
+  await jobLogger(job).step(`🚦 Rate limit reached; job ${job.id} delayed ${Math.ceil(waitMs / 1000)}s`, { to, tenantId: job.data.tenantId });
+  await job.moveToDelayed(Date.now() + waitMs, token);
+  throw new DelayedError();
+};
+
+/**
+ * Send one message per recipient, reporting progress as it goes
+ *
+ * Delivered recipients are saved in job.data.delivered, so a retry after a
+ * temporary failure picks up where the previous attempt stopped instead of
+ * mailing everyone again (and the same goes for a job delayed by a rate
+ * limit). Permanent failures and suppressed recipients are recorded and
+ * skipped.
+ *
+ * @param {Job} job - The job being processed
+ * @param {string} token - The job's lock token
+ * @param {Array<string|object>} recipients - Addresses or { email, ...fields }
+ * @param {function} buildMessage - (recipient, index) => message
+ */
+const sendToRecipients = async (job, token, recipients, buildMessage) => {
+  const delivered = { ...(job.data.delivered || {}) };
+  const failed = { ...(job.data.failed || {}) };
+  const suppressed = { ...(job.data.suppressed || {}) };
+  const save = () => job.updateData({ ...job.data, delivered, failed, suppressed });
+  const addresses = recipients.map(recipient => (typeof recipient === 'string' ? recipient : recipient.email));
+  const done = to => delivered[to] || failed[to] || suppressed[to];
+  const log = jobLogger(job);
+
+  try {
+    for (let i = 0; i < recipients.length; i++) {
+      const to = addresses[i];
+
+      const suppression = !done(to) && await getSuppression(to);
+      if (suppression) {
+        suppressed[to] = suppression.reason;
+        await countEmails(job, 'suppressed', [to]);
+        log.info(`🚫 ${i + 1}/${recipients.length} skipped: suppressed`, { to, reason: suppression.reason });
+      }
+
+      if (!done(to)) {
+        const message = buildMessage(recipients[i], i);
+        await throttle(job, token, to, save);
+
+        try {
+          const info = await sendMessage({ to, ...message });
+          delivered[to] = info.messageId;
+          await countEmails(job, 'sent', [to]);
+          log.info(`✉️  ${i + 1}/${recipients.length} sent`, { to, messageId: info.messageId });
+        } catch (error) {
+          if (!(error instanceof UnrecoverableError)) {
+            // Remember who already got the email, then let BullMQ retry
+            await save();
+            throw error;
+          }
+          failed[to] = error.message;
+          await countEmails(job, 'failed', [to]);
+          log.warn(`❌ ${i + 1}/${recipients.length} failed`, { to, error: error.message });
+        }
+      }
+
+      await job.updateProgress(Math.round(((i + 1) / recipients.length) * 100));
+    }
+  } catch (error) {
+    await countUnsent(job, error, addresses.filter(to => !done(to)));
+    throw error;
+  }
+
+  await save();
+
+  return {
+    total: recipients.length,
+    sent: Object.keys(delivered).length,
+    failed: Object.keys(failed).length,
+    suppressed: Object.keys(suppressed).length,
+    delivered,
+    failures: failed,
+    suppressions: suppressed,
+  };
+};
+
+module.exports = {
+  countEmails,
+  countUnsent,
+  sendMessage,
+  throttle,
+  sendToRecipients,
+};
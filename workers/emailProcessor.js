@@ -0,0 +1,30 @@
+/**
+ * Email Job Processor
+ * 
+ * Called by the emailQueue worker for each job that needs to be processed.
+ * It routes the job to the handler registered for its name (see ./handlers).
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { getHandler } = require('./handlers');
+const { jobLogger } = require('../logger');
+
+const processEmailJob = async (job, token) => {
+  const { to, urgent } = job.data;
+
+  await jobLogger(job).step(`🔄 Processing ${job.name} job ${job.id}`, {
+    attempt: `${job.attemptsMade + 1}/${job.opts.attempts}`,
+    ...(to ? { to, urgent: Boolean(urgent) } : {}),
+  });
+
+  const handler = getHandler(job.name);
+  
+  // Unknown job names can never succeed, so don't retry them
+  if (!handler) {
+    throw new UnrecoverableError(`No handler registered for job type "${job.name}"`);
+  }
+  
+  return handler(job, token);
+};
+
+module.exports = processEmailJob;
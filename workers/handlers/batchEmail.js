@@ -0,0 +1,29 @@
+/**
+ * batchEmail Handler
+ *
+ * Sends the same email to one batch of recipients.
+ * Job data: { batch, batchNumber, totalBatches, subject, text, html, tenantId }
+ */
+
+const { sendToRecipients } = require('../delivery');
+const { jobLogger } = require('../../logger');
+
+const batchEmail = async (job, token) => {
+  const { batch, batchNumber, totalBatches, subject, text, html } = job.data;
+
+  const log = jobLogger(job);
+
+  await log.step(`📦 Sending batch ${batchNumber}/${totalBatches}`, { recipients: batch.length });
+
+  const result = await sendToRecipients(job, token, batch, (to) => ({
+    subject: subject || 'Message from BullMQ Demo',
+    text: text || `Hello ${to}, this email was sent by batch job ${job.id}.`,
+    html,
+  }));
+
+  await log.step(`✅ Batch ${batchNumber}/${totalBatches} done`, { sent: result.sent, failed: result.failed, suppressed: result.suppressed });
+
+  return { batchNumber, totalBatches, ...result };
+};
+
+module.exports = batchEmail;
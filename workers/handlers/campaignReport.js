@@ -0,0 +1,56 @@
+/**
+ * campaignReport Handler
+ *
+ * Last campaign step and root of the campaign flow: BullMQ runs it only
+ * after sendCampaign has finished, then it summarises the delivery results.
+ * The send step's result gives the per-recipient outcome; the delivery
+ * analytics (see analytics/index.js) add retries, a per-domain breakdown
+ * and when the emails went out.
+ * Job data: { campaignId, campaignName }
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { campaignAnalytics } = require('../../analytics');
+const { jobLogger } = require('../../logger');
+
+const campaignReport = async (job) => {
+  const { campaignId, campaignName } = job.data;
+
+  // The only child is the sendCampaign job
+  const [sendResult] = Object.values(await job.getChildrenValues());
+  if (!sendResult) {
+    throw new UnrecoverableError(`Campaign "${campaignName}" has no send result`);
+  }
+
+  const { total, sent, failed, suppressed = 0, failures, sentAt } = sendResult;
+  const rate = (count, of) => (of ? Math.round((count / of) * 10000) / 100 : 0);
+  const analytics = await campaignAnalytics(campaignId, job.timestamp);
+
+  const report = {
+    campaignId,
+    campaignName,
+    total,
+    sent,
+    failed,
+    suppressed,
+    retried: analytics.totals.retried,
+    deliveryRate: rate(sent, total),
+    failures,
+    // Worst delivery rate first
+    domains: Object.entries(analytics.breakdown.domain)
+      .map(([domain, counts]) => ({ domain, ...counts, deliveryRate: rate(counts.sent, counts.sent + counts.failed + counts.suppressed) }))
+      .sort((a, b) => a.deliveryRate - b.deliveryRate || b.failed - a.failed),
+    timeline: {
+      granularity: analytics.granularity,
+      series: analytics.series.filter(point => point.sent || point.failed || point.retried || point.suppressed)
+    },
+    sentAt,
+    reportedAt: new Date().toISOString()
+  };
+
+  await jobLogger(job).step(`📈 Campaign "${campaignName}" report: ${sent}/${total} delivered (${report.deliveryRate}%)`, { domains: report.domains.length });
+
+  return report;
+};
+
+module.exports = campaignReport;
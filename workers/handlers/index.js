@@ -0,0 +1,36 @@
+/**
+ * Job Handler Registry
+ *
+ * Maps job names to the module that processes them. To support a new job
+ * type, create a handler module here and register it below.
+ *
+ * A handler is an async function (job, token) => result. The token is only
+ * needed for calls that take the job lock, such as job.moveToDelayed().
+ */
+
+const handlers = new Map([
+  ['sendEmail', require('./sendEmail')],
+  ['batchEmail', require('./batchEmail')],
+  ['progressEmail', require('./progressEmail')],
+  ['prepareCampaign', require('./prepareCampaign')],
+  ['sendCampaign', require('./sendCampaign')],
+  ['campaignReport', require('./campaignReport')],
+]);
+
+/**
+ * Register (or replace) the handler for a job name
+ */
+const registerHandler = (name, handler) => {
+  handlers.set(name, handler);
+};
+
+/**
+ * Look up the handler for a job name (undefined if none is registered)
+ */
+const getHandler = (name) => handlers.get(name);
+
+module.exports = {
+  registerHandler,
+  getHandler,
+  handlerNames: () => [...handlers.keys()],
+};
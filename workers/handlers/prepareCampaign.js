@@ -0,0 +1,66 @@
+/**
+ * prepareCampaign Handler
+ *
+ * First campaign step: cleans up the recipient list (trims, lower-cases,
+ * drops duplicates and malformed addresses) and renders the template once
+ * per recipient, so missing merge fields fail the campaign before anything
+ * is sent.
+ * Job data: { campaignName, templateId, recipients, recipientCount, data }
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { loadTemplate, renderTemplate, normalizeRecipient, TemplateError } = require('../../templates');
+const { isEmailAddress } = require('../../utils/emailAddress');
+const { unsubscribeUrl } = require('../../suppressions/unsubscribe');
+const { jobLogger } = require('../../logger');
+
+const prepareCampaign = async (job) => {
+  const { campaignName, templateId, recipients = [], data = {} } = job.data;
+
+  const log = jobLogger(job);
+
+  await log.step(`🎯 Preparing campaign "${campaignName}"`, { templateId, recipients: recipients.length });
+
+  const byEmail = new Map();
+  const invalid = [];
+
+  for (const entry of recipients) {
+    const recipient = normalizeRecipient(entry);
+    if (!isEmailAddress(recipient.email)) {
+      invalid.push(entry);
+    } else if (!byEmail.has(recipient.email)) {
+      byEmail.set(recipient.email, recipient);
+    }
+  }
+
+  const prepared = [...byEmail.values()];
+  if (prepared.length === 0) {
+    throw new UnrecoverableError(`Campaign "${campaignName}" has no valid recipients`);
+  }
+
+  // Render for every recipient now, so bad data never reaches sendCampaign
+  try {
+    const template = await loadTemplate(templateId);
+    for (const recipient of prepared) {
+      renderTemplate(template, { ...data, campaignName, unsubscribeUrl: unsubscribeUrl(recipient.email), ...recipient });
+    }
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      throw new UnrecoverableError(`Campaign "${campaignName}": ${error.message}`);
+    }
+    throw error;
+  }
+
+  await log.step(`✅ Campaign "${campaignName}" prepared`, { recipients: prepared.length, invalid: invalid.length });
+
+  return {
+    campaignName,
+    templateId,
+    recipients: prepared,
+    duplicates: recipients.length - invalid.length - prepared.length,
+    invalid,
+    preparedAt: new Date().toISOString()
+  };
+};
+
+module.exports = prepareCampaign;
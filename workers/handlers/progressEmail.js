@@ -0,0 +1,30 @@
+/**
+ * progressEmail Handler
+ *
+ * Sends an email to each recipient and updates the job progress after every
+ * one, so GET /job/:id/progress reflects how far along the job really is.
+ * Job data: { recipients, totalCount, subject, text, html, tenantId }
+ */
+
+const { sendToRecipients } = require('../delivery');
+const { jobLogger } = require('../../logger');
+
+const progressEmail = async (job, token) => {
+  const { recipients, subject, text, html } = job.data;
+
+  const log = jobLogger(job);
+
+  await log.step(`📊 Sending ${recipients.length} emails with progress tracking`);
+
+  const result = await sendToRecipients(job, token, recipients, (to, index) => ({
+    subject: subject || 'Message from BullMQ Demo',
+    text: text || `Hello ${to}, you are recipient ${index + 1} of ${recipients.length}.`,
+    html,
+  }));
+
+  await log.step(`✅ Progress job ${job.id} done`, { sent: result.sent, failed: result.failed, suppressed: result.suppressed });
+
+  return result;
+};
+
+module.exports = progressEmail;
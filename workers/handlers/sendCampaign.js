@@ -0,0 +1,60 @@
+/**
+ * sendCampaign Handler
+ *
+ * Second campaign step. It is the parent of prepareCampaign in the campaign
+ * flow, so BullMQ only runs it once preparation has completed. It renders
+ * the campaign template for each prepared recipient and sends it. Templates
+ * can use {{ unsubscribeUrl }}, the recipient's unsubscribe link.
+ * Job data: { campaignId, campaignName, templateId, sendAt, data, tenantId }
+ */
+
+const { UnrecoverableError, DelayedError } = require('bullmq');
+const { sendToRecipients } = require('../delivery');
+const { loadTemplate, renderTemplate, TemplateError } = require('../../templates');
+const { unsubscribeUrl } = require('../../suppressions/unsubscribe');
+const { jobLogger } = require('../../logger');
+
+const sendCampaign = async (job, token) => {
+  const { campaignName, templateId, sendAt, data = {} } = job.data;
+  const log = jobLogger(job);
+
+  // Preparation may finish before the scheduled send time: wait until then
+  if (sendAt && new Date(sendAt).getTime() > Date.now()) {
+    await log.step(`⏰ Campaign "${campaignName}" waits until ${sendAt}`);
+    await job.moveToDelayed(new Date(sendAt).getTime(), token);
+    throw new DelayedError();
+  }
+
+  // The only child is the prepareCampaign job
+  const [prepared] = Object.values(await job.getChildrenValues());
+  if (!prepared) {
+    throw new UnrecoverableError(`Campaign "${campaignName}" has no preparation result`);
+  }
+  const { recipients } = prepared;
+
+  let template;
+  try {
+    template = await loadTemplate(templateId);
+  } catch (error) {
+    if (error instanceof TemplateError) {
+      throw new UnrecoverableError(`Campaign "${campaignName}": ${error.message}`);
+    }
+    throw error;
+  }
+
+  await log.step(`📣 Sending campaign "${campaignName}"`, { recipients: recipients.length });
+
+  const result = await sendToRecipients(job, token, recipients, (recipient) => {
+    try {
+      return renderTemplate(template, { ...data, campaignName, unsubscribeUrl: unsubscribeUrl(recipient.email), ...recipient });
+    } catch (error) {
+      throw new UnrecoverableError(`Campaign "${campaignName}", recipient ${recipient.email}: ${error.message}`);
+    }
+  });
+
+  await log.step(`✅ Campaign "${campaignName}" sent`, { sent: result.sent, failed: result.failed, suppressed: result.suppressed });
+
+  return { campaignName, templateId, sentAt: new Date().toISOString(), ...result };
+};
+
+module.exports = sendCampaign;
@@ -0,0 +1,53 @@
+/**
+ * sendEmail Handler
+ *
+ * Sends a single email. Job data: { to, urgent, subject, text, html, from, tenantId }
+ */
+
+const { countEmails, countUnsent, sendMessage, throttle } = require('../delivery');
+const { getSuppression } = require('../../suppressions');
+const { jobLogger } = require('../../logger');
+
+const sendEmail = async (job, token) => {
+  const { to, urgent, subject, text, html, from } = job.data;
+  const log = jobLogger(job);
+
+  // Suppressed after the job was added (or a replay): complete without sending
+  const suppression = await getSuppression(to);
+  if (suppression) {
+    await countEmails(job, 'suppressed', [to]);
+    await log.step('🚫 Not sending: recipient suppressed', { to, reason: suppression.reason });
+    return { skippedAt: new Date().toISOString(), recipient: to, suppressed: suppression.reason };
+  }
+
+  let info;
+  try {
+    await throttle(job, token, to);
+
+    info = await sendMessage({
+      from,
+      to,
+      subject: subject || (urgent ? '[Urgent] Message from BullMQ Demo' : 'Message from BullMQ Demo'),
+      text: text || `Hello ${to}, this email was sent by job ${job.id}.`,
+      html,
+    });
+  } catch (error) {
+    await countUnsent(job, error, [to]);
+    throw error;
+  }
+  await countEmails(job, 'sent', [to]);
+
+  await log.step('✅ Email sent', { to, messageId: info.messageId, transport: info.transport });
+
+  return {
+    sentAt: new Date().toISOString(),
+    recipient: to,
+    transport: info.transport,
+    messageId: info.messageId,
+    accepted: info.accepted,
+    rejected: info.rejected,
+    response: info.response
+  };
+};
+
+module.exports = sendEmail;
@@ -0,0 +1,93 @@
+/**
+ * Worker Heartbeats
+ *
+ * Every process running workers writes the state of each of its workers
+ * to a Redis hash, one field per process:
+ *
+ *   <prefix>:heartbeats:<queue>  { "<hostname>:<pid>": '{"at":<ms>,"running":true,"paused":false}' }
+ *
+ * The alerting rules (see alerts/rules.js) and /readyz (see http/health.js)
+ * read it to notice a queue nobody is consuming. Fields of processes that
+ * stopped beating are dropped once they are a day old.
+ */
+
+const os = require('os');
+const { redisInstance, redisKey } = require('../redis');
+const { logger } = require('../logger');
+
+const HEARTBEAT_INTERVAL_MS = 15 * 1000;
+const FORGET_AFTER_MS = 24 * 60 * 60 * 1000;
+
+const processId = `${os.hostname()}:${process.pid}`;
+const heartbeatKey = (queueName) => redisKey('heartbeats', queueName);
+
+/**
+ * Write this process's heartbeat for its workers now and every
+ * HEARTBEAT_INTERVAL_MS
+ *
+ * @param {Map} workers - Queue name -> Worker
+ * @returns {Function} Stops the heartbeats and removes this process's fields
+ */
+const startHeartbeat = (workers) => {
+  const queueNames = [...workers.keys()];
+
+  const beat = () => {
+    const pipeline = redisInstance.pipeline();
+    workers.forEach((worker, name) => pipeline.hset(heartbeatKey(name), processId, JSON.stringify({
+      at: Date.now(),
+      running: worker.isRunning(),
+      paused: worker.isPaused()
+    })));
+    return pipeline.exec().catch((error) => {
+      logger.error('❌ Failed to write worker heartbeat', { error: error.message });
+    });
+  };
+
+  beat();
+  const timer = setInterval(beat, HEARTBEAT_INTERVAL_MS);
+  timer.unref();
+
+  // Show local pauses straight away rather than at the next beat
+  workers.forEach((worker) => {
+    worker.on('paused', beat);
+    worker.on('resumed', beat);
+  });
+
+  return async () => {
+    clearInterval(timer);
+    const pipeline = redisInstance.pipeline();
+    queueNames.forEach(name => pipeline.hdel(heartbeatKey(name), processId));
+    await pipeline.exec();
+  };
+};
+
+/**
+ * When a queue's workers were last seen, and how many are consuming it
+ *
+ * @param {string} queueName - Queue name
+ * @returns {object} { lastSeen (ms, or null if never), processes (seen in
+ *   the last minute), consuming (of those, running and not paused) }
+ */
+const lastHeartbeat = async (queueName) => {
+  const key = heartbeatKey(queueName);
+  const now = Date.now();
+  const beats = Object.entries(await redisInstance.hgetall(key)).map(([id, raw]) => ({ id, ...JSON.parse(raw) }));
+
+  const forgotten = beats.filter(beat => now - beat.at > FORGET_AFTER_MS).map(beat => beat.id);
+  if (forgotten.length > 0) {
+    await redisInstance.hdel(key, ...forgotten);
+  }
+
+  const recent = beats.filter(beat => now - beat.at <= 4 * HEARTBEAT_INTERVAL_MS);
+  return {
+    lastSeen: beats.length > 0 ? Math.max(...beats.map(beat => beat.at)) : null,
+    processes: recent.length,
+    consuming: recent.filter(beat => beat.running && !beat.paused).length
+  };
+};
+
+module.exports = {
+  HEARTBEAT_INTERVAL_MS,
+  startHeartbeat,
+  lastHeartbeat
+};
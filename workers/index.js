@@ -0,0 +1,174 @@
+/**
+ * Workers
+ * 
+ * Starts one worker for every queue declared with a `worker` section
+ * (see queues/registry.js). Workers are separate from the queues: they
+ * consume jobs and execute the actual work, in the API process or in
+ * standalone `node cli.js work` processes.
+ */
+
+const { Worker } = require('bullmq');
+const { connection, prefix } = require('../redis');
+const { listDefinitions, registerWorker } = require('../queues');
+const { notifyJobOutcome, isFinalFailure } = require('../webhooks');
+const { recordFailure, forgetAttempts } = require('../jobs/deadLetters');
+const { instrumentWorker, trackRunningJob, recordRateLimitHit } = require('../metrics');
+const { recordOutcome } = require('../alerts/outcomes');
+const { indexJob } = require('../jobs/jobSearch');
+const { startHeartbeat } = require('./heartbeat');
+const { config } = require('../config');
+const { onShutdown } = require('../shutdown');
+const { logger, jobLogger } = require('../logger');
+
+/**
+ * Worker that counts rate limiter hits for the metrics (BullMQ emits no
+ * event for them; getRateLimitDelay is called each time the worker has to
+ * wait for the limiter) and the jobs its processor is running
+ */
+class MeteredWorker extends Worker {
+  callProcessJob(job, token) {
+    return trackRunningJob(this.name, () => super.callProcessJob(job, token));
+  }
+
+  getRateLimitDelay(delay) {
+    recordRateLimitHit(this.name);
+    return super.getRateLimitDelay(delay);
+  }
+}
+
+/**
+ * Create the worker for one queue definition
+ * 
+ * Worker Options:
+ * - connection: Redis connection (must match queue connection)
+ * - concurrency: How many jobs to process simultaneously
+ * - limiter: Rate limiting options
+ * - stalledInterval / maxStalledCount: Stalled job detection
+ */
+const startWorker = ({ name, settings, notifyWebhooks, deadLetter, worker: { processor, ...options } }) => {
+  const worker = new MeteredWorker(name, processor(), {
+    connection,
+    prefix,
+    settings,
+    ...options,
+  });
+  
+  /**
+   * Event Listeners
+   * These help you monitor and debug your job processing
+   */
+  
+  const log = logger.child({ queue: name });
+  
+  // Job completed successfully (the result can hold recipients: debug only)
+  worker.on('completed', (job, result) => {
+    const jobLog = jobLogger(job);
+    jobLog.info(`✅ Job ${job.id} completed`, { attempts: job.attemptsMade });
+    jobLog.debug(`📋 Job ${job.id} result`, { result });
+  });
+  
+  // Job failed (this attempt; BullMQ retries it while attempts are left)
+  worker.on('failed', (job, err) => {
+    if (!job) {
+      log.error('❌ Job failed', { error: err.message });
+      return;
+    }
+    const final = isFinalFailure(job, err);
+    jobLogger(job)[final ? 'error' : 'warn'](`❌ Job ${job.id} failed${final ? ' permanently' : ', will retry'}`, {
+      error: err.message,
+      attempts: job.attemptsMade,
+    });
+  });
+  
+  // Job is being processed
+  worker.on('active', (job) => {
+    jobLogger(job).debug(`⚡ Job ${job.id} started processing`);
+  });
+  
+  // Job is stalled (worker didn't respond in time)
+  worker.on('stalled', (jobId) => {
+    log.warn(`😵 Job ${jobId} stalled`, { jobId });
+  });
+  
+  // Completion and final failure webhooks (see webhooks/index.js)
+  if (notifyWebhooks) {
+    const notify = (job, outcome) => notifyJobOutcome(name, job, outcome).catch((error) => {
+      jobLogger(job).error(`❌ Failed to queue webhooks for job ${job.id}`, { error: error.message });
+    });
+    
+    worker.on('completed', (job, result) => notify(job, { state: 'completed', result }));
+    worker.on('failed', (job, err) => {
+      if (job && isFinalFailure(job, err)) notify(job, { state: 'failed', failedReason: err.message });
+    });
+  }
+  
+  // Attempt history and the dead letter queue (see jobs/deadLetters.js)
+  if (deadLetter) {
+    worker.on('failed', (job, err) => {
+      if (!job) return;
+      recordFailure(name, job, err).catch((error) => {
+        jobLogger(job).error(`❌ Failed to record failure of job ${job.id}`, { error: error.message });
+      });
+    });
+    worker.on('completed', (job) => {
+      if (job.attemptsMade > 1) forgetAttempts(name, job).catch(() => {});
+    });
+  }
+  
+  // Prometheus metrics (see metrics/index.js)
+  instrumentWorker(worker);
+  
+  // Outcome counts for the failure rate and stalled alert rules (see alerts/rules.js)
+  const countOutcome = (outcome) => recordOutcome(name, outcome).catch((error) => {
+    log.error(`❌ Failed to count ${outcome} job in ${name}`, { error: error.message });
+  });
+  worker.on('completed', () => countOutcome('completed'));
+  worker.on('failed', (job, err) => {
+    if (job && isFinalFailure(job, err)) countOutcome('failed');
+  });
+  worker.on('stalled', () => countOutcome('stalled'));
+  
+  // Search indexes, for jobs added by schedules, replays or other code (see jobs/jobSearch.js)
+  worker.on('active', (job) => indexJob(job).catch((error) => {
+    jobLogger(job).error(`❌ Failed to index job ${job.id}`, { error: error.message });
+  }));
+  
+  // Worker error (not job-specific)
+  worker.on('error', (error) => {
+    log.error(`💥 Worker error (${name})`, { error });
+  });
+  
+  registerWorker(name, worker);
+  
+  log.info(`👷 ${name} worker started and ready to process jobs`, {
+    concurrency: worker.opts.concurrency,
+    ...(worker.opts.limiter ? { rateLimit: `${worker.opts.limiter.max}/${worker.opts.limiter.duration / 1000}s` } : {}),
+  });
+  
+  return worker;
+};
+
+// Queue name -> Worker
+const workers = new Map(
+  listDefinitions()
+    .filter(definition => definition.worker)
+    .map(definition => [definition.name, startWorker(definition)])
+);
+
+// Lets alerting and /readyz see these workers (see workers/heartbeat.js)
+const stopHeartbeat = startHeartbeat(workers);
+
+/**
+ * Stop fetching jobs and wait for the active ones to finish
+ */
+const closeWorkers = async () => {
+  logger.info(`⏳ Waiting up to ${config.server.shutdownTimeoutMs / 1000}s for active jobs to finish...`);
+  await Promise.all([...workers.values()].map(worker => worker.close()));
+  await stopHeartbeat();
+  logger.info('👋 Workers closed');
+};
+
+// Graceful shutdown (see shutdown.js)
+onShutdown('workers', 'workers', closeWorkers);
+
+module.exports = workers;
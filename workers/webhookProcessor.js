@@ -0,0 +1,94 @@
+/**
+ * Webhook Delivery Processor
+ *
+ * POSTs one signed payload (see webhooks/index.js). Any 2xx answer counts
+ * as delivered. Timeouts, network errors, 5xx, 408 and 429 are retried with
+ * the queue's backoff; redirects and other 4xx answers won't change on
+ * retry, so the delivery fails straight away, as do destinations that
+ * resolve to private or loopback addresses (see webhooks/destination.js).
+ * Every attempt goes to the delivery log.
+ */
+
+const { UnrecoverableError } = require('bullmq');
+const { config } = require('../config');
+const { signingSecret, recordAttempt } = require('../webhooks');
+const { sign, SIGNATURE_HEADER, TIMESTAMP_HEADER } = require('../webhooks/signature');
+const { postToDestination, DestinationError } = require('../webhooks/destination');
+const { jobLogger } = require('../logger');
+
+const RETRYABLE_CLIENT_ERRORS = [408, 429];
+
+const processWebhook = async (job) => {
+  const { url, subscriptionId, payload } = job.data;
+  const attempt = job.attemptsMade + 1;
+
+  const secret = await signingSecret(subscriptionId);
+  const body = JSON.stringify(payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  // Alert notifications (see alerts/channels.js) go through here too
+  const subject = payload.data.jobId ? `job ${payload.data.jobId}` : `rule ${payload.data.rule} on ${payload.data.queue}`;
+  const log = jobLogger(job);
+  await log.step(`🪝 Delivering ${payload.event} for ${subject}`, { url, attempt: `${attempt}/${job.opts.attempts}` });
+
+  const startedAt = Date.now();
+  let status = null;
+  let error = null;
+  let blocked = false;
+
+  try {
+    status = await postToDestination(url, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'bullmq-demo-webhooks',
+        'X-Webhook-Id': payload.id,
+        'X-Webhook-Event': payload.event,
+        [TIMESTAMP_HEADER]: String(timestamp),
+        [SIGNATURE_HEADER]: sign(body, secret, timestamp),
+      },
+      body,
+      timeoutMs: config.webhooks.timeoutMs,
+    });
+  } catch (postError) {
+    blocked = postError instanceof DestinationError;
+    error = postError.name === 'AbortError'
+      ? `No response within ${config.webhooks.timeoutMs}ms`
+      : postError.message;
+  }
+
+  const delivered = status >= 200 && status < 300;
+  const permanent = blocked || (status >= 300 && status < 500 && !RETRYABLE_CLIENT_ERRORS.includes(status));
+  const lastAttempt = attempt >= job.opts.attempts;
+
+  let outcome = 'retrying';
+  if (delivered) outcome = 'delivered';
+  else if (permanent || lastAttempt) outcome = 'failed';
+
+  await recordAttempt({
+    deliveryId: payload.id,
+    event: payload.event,
+    jobId: payload.data.jobId,
+    queue: payload.data.queue,
+    subscriptionId,
+    url,
+    attempt,
+    outcome,
+    status,
+    error,
+    durationMs: Date.now() - startedAt,
+    at: new Date().toISOString()
+  });
+  await log.step(`🪝 Delivery ${outcome}`, { status, error });
+
+  if (delivered) {
+    return { status, attempts: attempt };
+  }
+
+  const message = error || `Receiver answered HTTP ${status}`;
+  if (permanent) {
+    throw new UnrecoverableError(message);
+  }
+  throw new Error(message);
+};
+
+module.exports = processWebhook;